@@ -0,0 +1,12 @@
+-- Groups the components inserted by one submission so a batch can be traced and reviewed as a unit
+IF COL_LENGTH('Components', 'SubmissionBatchId') IS NULL
+BEGIN
+    ALTER TABLE Components ADD SubmissionBatchId UNIQUEIDENTIFIER NULL;
+END
+GO
+
+IF NOT EXISTS (SELECT 1 FROM sys.indexes WHERE name = 'IX_Components_SubmissionBatchId' AND object_id = OBJECT_ID('Components'))
+BEGIN
+    CREATE INDEX IX_Components_SubmissionBatchId ON Components (SubmissionBatchId);
+END
+GO
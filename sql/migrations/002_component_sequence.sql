@@ -0,0 +1,6 @@
+-- Position in the mooring line as written in the document; text so sub-sequences like 3.1 and 3.10 stay distinct
+IF COL_LENGTH('Components', 'Sequence') IS NULL
+BEGIN
+    ALTER TABLE Components ADD Sequence NVARCHAR(20) NULL;
+END
+GO
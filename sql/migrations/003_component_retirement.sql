@@ -0,0 +1,13 @@
+-- Retired components keep when they were removed and which component took their place
+IF COL_LENGTH('Components', 'RemovedDate') IS NULL
+BEGIN
+    ALTER TABLE Components ADD RemovedDate DATETIME NULL;
+END
+GO
+
+IF COL_LENGTH('Components', 'ReplacedByComponentId') IS NULL
+BEGIN
+    ALTER TABLE Components ADD ReplacedByComponentId INT NULL
+        CONSTRAINT FK_Components_ReplacedByComponent REFERENCES Components (Id);
+END
+GO
@@ -0,0 +1,13 @@
+-- Tells components superseded by a newer one apart from components that were taken out of the line
+IF COL_LENGTH('Components', 'RemovalReason') IS NULL
+BEGIN
+    ALTER TABLE Components ADD RemovalReason NVARCHAR(20) NULL
+        CONSTRAINT CK_Components_RemovalReason CHECK (RemovalReason IN ('replaced', 'removed'));
+END
+GO
+
+UPDATE Components
+SET RemovalReason = CASE WHEN ReplacedByComponentId IS NULL THEN 'removed' ELSE 'replaced' END
+WHERE RemovedDate IS NOT NULL
+  AND RemovalReason IS NULL;
+GO
@@ -5,6 +5,26 @@ const isDev = process.argv.includes('--dev');
 
 let mainWindow;
 
+// Files the services write at runtime; a packaged app's working directory is neither writable nor stable.
+// Set before the window opens so the renderer, which runs the services, inherits them.
+const DATA_FILES = {
+  SUPPLIER_ALIAS_FILE: 'supplier-aliases.json',
+  LLM_MOCK_FILE: 'llm-recordings.json',
+  AI_CACHE_FILE: 'ai-cache.json',
+  USAGE_HISTORY_FILE: 'usage-history.jsonl',
+  POSITION_RULES_FILE: 'position-rules.json'
+};
+
+function configureDataFiles() {
+  const dataDir = path.join(app.getPath('userData'), 'data');
+
+  for (const [name, fileName] of Object.entries(DATA_FILES)) {
+    if (!process.env[name]) {
+      process.env[name] = path.join(dataDir, fileName);
+    }
+  }
+}
+
 function createWindow() {
   mainWindow = new BrowserWindow({
     width: 1200,
@@ -29,7 +49,10 @@ function createWindow() {
   });
 }
 
-app.whenReady().then(createWindow);
+app.whenReady().then(() => {
+  configureDataFiles();
+  createWindow();
+});
 
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
@@ -47,9 +70,10 @@ ipcMain.handle('select-files', async () => {
   const result = await dialog.showOpenDialog(mainWindow, {
     properties: ['openFile', 'multiSelections'],
     filters: [
-      { name: 'Documents', extensions: ['pdf', 'xlsx', 'xls'] },
+      { name: 'Documents', extensions: ['pdf', 'xlsx', 'xls', 'ods', 'csv', 'jpg', 'jpeg', 'png'] },
       { name: 'PDF Files', extensions: ['pdf'] },
-      { name: 'Excel Files', extensions: ['xlsx', 'xls'] },
+      { name: 'Spreadsheets', extensions: ['xlsx', 'xls', 'ods', 'csv'] },
+      { name: 'Images', extensions: ['jpg', 'jpeg', 'png'] },
       { name: 'All Files', extensions: ['*'] }
     ]
   });
@@ -73,4 +97,33 @@ ipcMain.handle('save-results', async (event, data) => {
   return null;
 });
 
+ipcMain.handle('select-mapping-template', async () => {
+  const result = await dialog.showOpenDialog(mainWindow, {
+    properties: ['openFile'],
+    filters: [
+      { name: 'Mapping Templates', extensions: ['xlsx', 'xls', 'ods', 'csv'] }
+    ]
+  });
+  
+  if (!result.canceled && result.filePaths.length > 0) {
+    return result.filePaths[0];
+  }
+  return null;
+});
+
+ipcMain.handle('save-mapping-template', async (event, defaultName) => {
+  const result = await dialog.showSaveDialog(mainWindow, {
+    defaultPath: defaultName || 'position_mapping.xlsx',
+    filters: [
+      { name: 'Excel Files', extensions: ['xlsx'] },
+      { name: 'CSV Files', extensions: ['csv'] }
+    ]
+  });
+  
+  if (!result.canceled) {
+    return result.filePath;
+  }
+  return null;
+});
+
 app.setAppUserModelId('com.aquaculture.ai-extractor');
\ No newline at end of file
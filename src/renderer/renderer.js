@@ -23,7 +23,19 @@ let extractedData = null;
 let currentLocality = null;
 let currentMooring = null;
 let currentPositions = [];
+let facilityPositions = [];
+let scannedReferences = [];
+let savedReferences = new Map();
 let selectedSupplier = null;
+let selectedEngine = 'catalog';
+let requestProgress = new Map();
+let pendingSubmission = null;
+
+const PROVENANCE_LABELS = {
+    rule: '📏 Rule',
+    model: '🤖 AI',
+    manual: '✋ Manual'
+};
 let allSuppliers = [];
 let allProducts = [];
 
@@ -159,8 +171,7 @@ function displaySelectedFiles() {
     
     uploadedFiles.forEach(filePath => {
         const fileName = filePath.split('/').pop().split('\\').pop();
-        const fileExt = fileName.split('.').pop().toLowerCase();
-        const icon = fileExt === 'pdf' ? '📄' : '📊';
+        const icon = getFileIcon(fileName);
         
         const li = document.createElement('li');
         li.innerHTML = `${icon} ${fileName}`;
@@ -177,6 +188,13 @@ function displaySelectedFiles() {
     updateProcessButton();
 }
 
+function getFileIcon(fileName) {
+    const fileExt = fileName.split('.').pop().toLowerCase();
+    if (fileExt === 'pdf') return '📄';
+    if (['jpg', 'jpeg', 'png'].includes(fileExt)) return '📷';
+    return '📊';
+}
+
 function updateProcessButton() {
     if (uploadedFiles.length > 0) {
         if (mappingBtn) mappingBtn.disabled = false;
@@ -217,7 +235,7 @@ function handleDrop(e) {
         displaySelectedFiles();
         logger.info(`${validFiles.length} files dropped for processing`);
     } else {
-        showError('Please drop only PDF or Excel files.');
+        showError('Please drop only PDF, spreadsheet (Excel, ODS, CSV) or image files.');
     }
 }
 
@@ -384,11 +402,15 @@ async function selectLocality(localityId, localityName) {
         });
         
         currentPositions = filteredPositions;
+        facilityPositions = allPositions;
+        savedReferences = new Map(filteredPositions.map(pos => [pos.Id, (pos.Reference || '').trim()]));
         
         logger.info(`Filtered positions: ${allPositions.length} total → ${filteredPositions.length} relevant (101-199, 301-399, 501-599, 701-799)`);
         
         showNotification(`✅ Loaded ${filteredPositions.length} relevant positions`, 'success');
         
+        await suggestPositionReferences(filteredPositions);
+        
         initializePositionMapper(filteredPositions);
         showStep('mapping');
         
@@ -397,6 +419,34 @@ async function selectLocality(localityId, localityName) {
     }
 }
 
+async function suggestPositionReferences(positions) {
+    try {
+        showNotification('🔎 Scanning documents for position references...', 'info');
+        
+        const scan = await fileProcessor.scanPositionReferences(uploadedFiles, selectedEngine);
+        scannedReferences = scan.references;
+        
+        const suggestions = fileProcessor.suggestPositionMappings(scannedReferences, positions);
+        suggestions.forEach(suggestion => {
+            const position = positions.find(p => p.Id === suggestion.positionId);
+            if (position) {
+                position.Reference = suggestion.documentReference;
+                position.referenceSuggestion = suggestion.method;
+            }
+        });
+        
+        logger.info(`Suggested ${suggestions.length} mappings from ${scannedReferences.length} document references`);
+        
+        if (suggestions.length > 0) {
+            showNotification(`💡 Suggested ${suggestions.length} mappings - please confirm or correct them`, 'info');
+        }
+    } catch (error) {
+        scannedReferences = [];
+        logger.error('Failed to scan position references', error);
+        showNotification('Could not scan documents for references, please map manually', 'warning');
+    }
+}
+
 function initializePositionMapper(positions) {
     const mappingArea = document.getElementById('mappingArea');
     if (!mappingArea) return;
@@ -422,8 +472,11 @@ function initializePositionMapper(positions) {
                             <div class="document-reference">
                                 <input 
                                     type="text" 
+                                    id="ref_input_${pos.Id}"
+                                    class="${pos.referenceSuggestion ? 'suggested' : ''}"
                                     placeholder="Doc ref (e.g. H01A, K01)"
                                     value="${pos.Reference || ''}"
+                                    title="${pos.referenceSuggestion ? 'Suggested from document scan - edit to correct' : ''}"
                                     oninput="updatePositionMapping(${pos.Id}, this.value)"
                                 />
                             </div>
@@ -432,18 +485,143 @@ function initializePositionMapper(positions) {
                 </div>
             </div>
             
+            <div class="template-actions">
+                <button onclick="importMappingTemplate()" class="btn-secondary">📥 Import Template</button>
+                <button onclick="exportMappingTemplate()" class="btn-secondary">📤 Export Template</button>
+            </div>
+            <div id="templateProblems" class="template-problems" style="display: none;"></div>
+            
+            <div class="unassigned-panel">
+                <div class="unassigned-column">
+                    <h4>📄 Unassigned Document References</h4>
+                    <div id="unassignedReferences" class="unassigned-list"></div>
+                </div>
+                <div class="unassigned-column">
+                    <h4>📍 Unassigned Positions</h4>
+                    <div id="unassignedPositions" class="unassigned-list"></div>
+                </div>
+            </div>
+            
             <div class="mapping-actions">
                 <button onclick="savePositionMappings()" class="btn-primary">💾 Save Mappings & Continue</button>
                 <button onclick="backToLocality()" class="btn-secondary">⬅️ Back to Locality Selection</button>
             </div>
         </div>
     `;
+    
+    renderUnassignedLists();
+}
+
+function renderUnassignedLists() {
+    const referencesEl = document.getElementById('unassignedReferences');
+    const positionsEl = document.getElementById('unassignedPositions');
+    if (!referencesEl || !positionsEl) return;
+    
+    const unassigned = fileProcessor.findUnassigned(scannedReferences, currentPositions);
+    
+    referencesEl.innerHTML = unassigned.references.length > 0
+        ? unassigned.references.map(r => `
+            <span class="unassigned-chip" title="Found in: ${r.files.join(', ')}">${r.reference}</span>
+        `).join('')
+        : `<p class="unassigned-empty">${scannedReferences.length > 0 ? '✅ All document references are mapped' : 'No references found in the documents'}</p>`;
+    
+    positionsEl.innerHTML = unassigned.positions.length > 0
+        ? unassigned.positions.map(p => `
+            <span class="unassigned-chip position">${p.Name || p.Id}</span>
+        `).join('')
+        : '<p class="unassigned-empty">✅ All positions are mapped</p>';
 }
 
 function updatePositionMapping(positionId, reference) {
     const position = currentPositions.find(p => p.Id === positionId);
     if (position) {
         position.Reference = reference.trim();
+        delete position.referenceSuggestion;
+    }
+    
+    const input = document.getElementById(`ref_input_${positionId}`);
+    if (input) input.classList.remove('suggested');
+    
+    renderUnassignedLists();
+}
+
+async function importMappingTemplate() {
+    try {
+        const filePath = await ipcRenderer.invoke('select-mapping-template');
+        if (!filePath) return;
+        
+        const result = fileProcessor.importMappingTemplate(filePath, currentPositions, facilityPositions);
+        if (!result.success) {
+            showError('Failed to import mapping template: ' + result.error);
+            return;
+        }
+        
+        result.valid.forEach(entry => {
+            const position = currentPositions.find(p => p.Id === entry.positionId);
+            if (position) {
+                position.Reference = entry.documentReference;
+                delete position.referenceSuggestion;
+            }
+        });
+        
+        initializePositionMapper(currentPositions);
+        renderTemplateProblems(result.problems);
+        
+        if (result.problems.length > 0) {
+            showNotification(`⚠️ Imported ${result.valid.length} mappings, ${result.problems.length} rows rejected`, 'warning');
+        } else {
+            showNotification(`✅ Imported ${result.valid.length} mappings`, 'success');
+        }
+    } catch (error) {
+        showError('Failed to import mapping template: ' + error.message);
+    }
+}
+
+function renderTemplateProblems(problems) {
+    const problemsEl = document.getElementById('templateProblems');
+    if (!problemsEl) return;
+    
+    if (problems.length === 0) {
+        problemsEl.style.display = 'none';
+        return;
+    }
+    
+    problemsEl.innerHTML = `
+        <h4>⚠️ ${problems.length} template rows were not imported</h4>
+        <ul>
+            ${problems.map(p => `
+                <li>Row ${p.row}: <strong>${p.documentReference || '?'} → ${p.internalPosition || '?'}</strong> - ${p.message}</li>
+            `).join('')}
+        </ul>
+    `;
+    problemsEl.style.display = 'block';
+}
+
+async function exportMappingTemplate() {
+    const mappings = currentPositions
+        .filter(pos => pos.Reference && pos.Reference.trim())
+        .map(pos => ({
+            documentReference: pos.Reference.trim(),
+            internalPosition: pos.Name
+        }));
+    
+    if (mappings.length === 0) {
+        showError('There are no mappings to export');
+        return;
+    }
+    
+    try {
+        const filePath = await ipcRenderer.invoke('save-mapping-template', `${currentLocality.name} - position mapping.xlsx`);
+        if (!filePath) return;
+        
+        const result = fileProcessor.exportMappingTemplate(filePath, mappings);
+        if (result.success) {
+            showNotification(`📤 Exported ${result.count} mappings`, 'success');
+        } else {
+            showError('Failed to export mapping template: ' + result.error);
+        }
+    } catch (error) {
+        showError('Failed to export mapping template: ' + error.message);
     }
 }
 
@@ -455,7 +633,8 @@ async function savePositionMappings() {
             internalPosition: pos.Name,
             positionId: pos.Id,
             positionName: pos.Name,
-            positionType: pos.Type
+            positionType: pos.Type,
+            designMblKg: pos.MblKg
         }));
     
     if (positionMappings.length === 0) {
@@ -463,11 +642,60 @@ async function savePositionMappings() {
         return;
     }
     
+    const changes = currentPositions
+        .map(pos => ({
+            positionId: pos.Id,
+            positionName: pos.Name,
+            previous: savedReferences.get(pos.Id) || '',
+            reference: (pos.Reference || '').trim()
+        }))
+        .filter(change => change.reference !== change.previous);
+    
+    if (changes.length > 0) {
+        const saved = await persistPositionReferences(changes);
+        if (!saved) return;
+    }
+    
     showNotification(`✅ Mapped ${positionMappings.length} positions`, 'success');
     
     showSupplierSelector();
 }
 
+async function persistPositionReferences(changes) {
+    const overwrites = changes.filter(change => change.previous);
+    
+    let message = `Save ${changes.length} position reference(s) to the database for mooring ${currentMooring.Name}?`;
+    if (overwrites.length > 0) {
+        message += `\n\nThe following existing references will be overwritten:\n` +
+            overwrites.map(change => `  ${change.positionName}: ${change.previous} → ${change.reference || '(cleared)'}`).join('\n');
+    }
+    
+    if (!confirm(message)) {
+        return false;
+    }
+    
+    try {
+        const results = await fileProcessor.savePositionReferences(currentMooring.Id, changes);
+        const failed = results.filter(r => !r.success);
+        
+        results.filter(r => r.success).forEach(r => {
+            const change = changes.find(c => c.positionId === r.positionId);
+            savedReferences.set(r.positionId, change.reference);
+        });
+        
+        if (failed.length > 0) {
+            showNotification(`⚠️ Saved ${results.length - failed.length} references, ${failed.length} failed`, 'warning');
+        } else {
+            showNotification(`💾 Saved ${results.length} position references`, 'success');
+        }
+        
+        return true;
+    } catch (error) {
+        showError('Failed to save position references: ' + error.message);
+        return false;
+    }
+}
+
 function showSupplierSelector() {
     showStep('supplier');
     
@@ -480,12 +708,54 @@ function showSupplierSelector() {
     
     window.filteredSuppliers = allSuppliers;
     
+    renderEngineOptions();
+    
     setTimeout(() => {
         const searchInput = document.getElementById('supplierSearchInput');
         if (searchInput) searchInput.focus();
     }, 100);
 }
 
+function renderEngineOptions() {
+    const container = document.getElementById('engineOptions');
+    if (!container) return;
+    
+    const budgetInput = document.getElementById('runBudgetInput');
+    const defaultBudget = fileProcessor.getDefaultBudget();
+    if (budgetInput && defaultBudget !== null) budgetInput.placeholder = `${defaultBudget} (default)`;
+    
+    container.innerHTML = fileProcessor.getExtractionEngines().map(engine => `
+        <label class="engine-option ${engine.id === selectedEngine ? 'selected' : ''}">
+            <input 
+                type="radio" 
+                name="extractionEngine" 
+                value="${engine.id}" 
+                ${engine.id === selectedEngine ? 'checked' : ''}
+                onchange="selectEngine('${engine.id}')"
+            />
+            ${engine.label}
+        </label>
+    `).join('');
+}
+
+function clearAiCache() {
+    if (!confirm('Clear all cached AI responses? The next run will send every row to the model again.')) return;
+    
+    const removed = fileProcessor.clearAiCache();
+    showNotification(`🗑️ Cleared ${removed} cached AI responses`, 'success');
+}
+
+function selectEngine(engineId) {
+    selectedEngine = engineId;
+    renderEngineOptions();
+    logger.info(`Selected extraction engine: ${engineId}`);
+}
+
+function getEngineLabel(engineId) {
+    const engine = fileProcessor.getExtractionEngines().find(e => e.id === engineId);
+    return engine ? engine.label : engineId;
+}
+
 function searchSuppliers(searchTerm) {
     const dropdown = document.getElementById('supplierDropdown');
     
@@ -550,8 +820,10 @@ function backToMapping() {
     showStep('mapping');
 }
 
-function skipSupplierSelection() {
+async function skipSupplierSelection() {
     selectedSupplier = null;
+    if (!await confirmRunEstimate()) return;
+    
     showNotification('Using full catalog (all suppliers)', 'info');
     showStep('processing');
     processFiles();
@@ -563,10 +835,54 @@ async function proceedToProcessing() {
         return;
     }
     
+    if (!await confirmRunEstimate()) return;
+    
     showStep('processing');
     processFiles();
 }
 
+function getRunBudget() {
+    const input = document.getElementById('runBudgetInput');
+    if (!input || input.value.trim() === '') return undefined;
+    
+    const budget = parseFloat(input.value);
+    return Number.isFinite(budget) && budget > 0 ? budget : null;
+}
+
+async function confirmRunEstimate() {
+    if (uploadedFiles.length === 0) return true;
+    
+    try {
+        showNotification('Estimating AI usage...', 'info');
+        const estimate = await fileProcessor.estimateRun(uploadedFiles, selectedSupplier?.id || null, {
+            engine: selectedEngine,
+            budgetNok: getRunBudget()
+        });
+        
+        const lines = [
+            `Engine: ${getEngineLabel(selectedEngine)}`,
+            `Files: ${estimate.files}`,
+            `Positions: ${estimate.positions}`,
+            `AI chunks: ${estimate.chunks} (${estimate.calls} calls)`,
+            `Estimated tokens: ~${estimate.totalTokens.toLocaleString()} (${estimate.promptTokens.toLocaleString()} prompt / ${estimate.completionTokens.toLocaleString()} completion)`,
+            `Estimated cost: ~${estimate.estimatedCostNok.toFixed(2)} NOK ($${estimate.estimatedCostUsd.toFixed(4)})`,
+            `Budget: ${estimate.budgetNok !== null ? `${estimate.budgetNok} NOK` : 'no limit'}`
+        ];
+        
+        if (estimate.overBudget) {
+            lines.push('', '⚠️ The estimate exceeds the budget. Once the budget is used up, the remaining chunks will be extracted deterministically without AI.');
+        }
+        if (estimate.errors.length > 0) {
+            lines.push('', `Could not read: ${estimate.errors.map(e => e.fileName).join(', ')}`);
+        }
+        
+        return confirm(`Start extraction?\n\n${lines.join('\n')}`);
+    } catch (error) {
+        logger.error('Failed to estimate run', error);
+        return confirm(`Could not estimate AI usage (${error.message}).\n\nStart extraction anyway?`);
+    }
+}
+
 async function processFiles() {
     if (uploadedFiles.length === 0) {
         showError('No files selected');
@@ -584,27 +900,38 @@ async function processFiles() {
         ? `with preferred supplier: ${selectedSupplier.name}` 
         : 'with full catalog (all suppliers)';
     
-    logger.info(`🚀 Starting catalog-aware processing ${supplierInfo}`);
+    logger.info(`🚀 Starting ${selectedEngine} processing ${supplierInfo}`);
     
     try {
-        await updateProgress(10, 'Initializing catalog-aware AI extraction...');
+        await updateProgress(10, `Initializing extraction (${getEngineLabel(selectedEngine)})...`);
         
         await updateProgress(20, 'Reading documents with product catalog...');
         
         const results = await fileProcessor.processFiles(
             uploadedFiles, 
             positionMappings,
-            selectedSupplier?.id || null
+            selectedSupplier?.id || null,
+            {
+                engine: selectedEngine,
+                budgetNok: getRunBudget(),
+                locality: { id: currentLocality.id, name: currentLocality.name },
+                onProgress: handleRequestProgress
+            }
         );
         
         await updateProgress(70, 'Processing extraction results...');
         
         const summary = fileProcessor.getProcessingSummary(results);
-        logger.info('✅ Catalog-aware processing complete', summary);
+        logger.info('✅ Processing complete', summary);
+        
+        const currentMonth = new Date().toISOString().slice(0, 7);
+        const monthlySpend = fileProcessor.getMonthlySpend(currentLocality.id).find(m => m.month === currentMonth) || null;
         
         extractedData = {
             results: results,
             summary: summary,
+            monthlySpend: monthlySpend,
+            engine: selectedEngine,
             positionMappings: positionMappings,
             locality: currentLocality,
             mooring: currentMooring,
@@ -612,7 +939,7 @@ async function processFiles() {
             processedAt: new Date().toISOString()
         };
         
-        await updateProgress(100, 'Catalog-aware extraction complete!');
+        await updateProgress(100, 'Extraction complete!');
         
         setTimeout(() => {
             displayResults(extractedData);
@@ -628,6 +955,56 @@ async function processFiles() {
 function showProcessingStatus() {
     if (progressBar) progressBar.style.width = '0%';
     if (progressStatus) progressStatus.textContent = 'Starting catalog-aware extraction...';
+    
+    const fileCount = document.getElementById('fileCount');
+    const mappingCount = document.getElementById('mappingCount');
+    if (fileCount) fileCount.textContent = uploadedFiles.length;
+    if (mappingCount) mappingCount.textContent = positionMappings.length;
+    
+    requestProgress = new Map();
+    renderRequestLog();
+}
+
+function handleRequestProgress(event) {
+    const entry = requestProgress.get(event.label) || { label: event.label, requests: 0, retries: 0, status: 'running' };
+    
+    if (event.type === 'retry') {
+        entry.retries++;
+        entry.status = 'retry';
+        entry.lastError = `${event.error}, retrying in ${Math.ceil(event.delayMs / 1000)} s`;
+    } else {
+        entry.requests++;
+        entry.status = event.type;
+        entry.lastError = event.type === 'failed' ? event.error : null;
+    }
+    
+    requestProgress.set(event.label, entry);
+    renderRequestLog();
+}
+
+function renderRequestLog() {
+    const container = document.getElementById('requestLog');
+    const currentStatus = document.getElementById('currentStatus');
+    const entries = [...requestProgress.values()];
+    
+    if (currentStatus) {
+        const retrying = entries.filter(e => e.status === 'retry').length;
+        currentStatus.textContent = entries.length === 0
+            ? 'Waiting...'
+            : `${entries.reduce((sum, e) => sum + e.requests, 0)} AI requests${retrying > 0 ? `, ${retrying} retrying` : ''}`;
+    }
+    if (!container) return;
+    
+    container.innerHTML = entries.map(entry => `
+        <div class="request-item ${entry.status}">
+            <span>${entry.label}</span>
+            <span>
+                ${entry.retries > 0 ? `🔁 ${entry.retries} ${entry.retries === 1 ? 'retry' : 'retries'}` : ''}
+                ${entry.lastError ? ` · ${entry.lastError}` : ''}
+                ${entry.status === 'done' ? ' ✓' : ''}
+            </span>
+        </div>
+    `).join('');
 }
 
 function updateProgress(percentage, status) {
@@ -642,6 +1019,9 @@ function updateProgress(percentage, status) {
 function displayResults(data) {
     if (!resultsArea) return;
     
+    const lineStrength = fileProcessor.analyzeLineStrength(data.results, positionMappings);
+    const linesBelowDesign = lineStrength.filter(line => line.status === 'below_design').length;
+    
     const supplierText = data.supplier 
         ? `Supplier: <strong>${data.supplier.name}</strong>`
         : `Using <strong>Full Catalog</strong> (all suppliers)`;
@@ -649,8 +1029,8 @@ function displayResults(data) {
     resultsArea.innerHTML = `
         <div class="results-container">
             <div class="results-header">
-                <h3>🎯 Catalog-Aware Extraction Results</h3>
-                <p>Facility: <strong>${data.locality.name}</strong> | ${supplierText}</p>
+                <h3>🎯 Extraction Results</h3>
+                <p>Facility: <strong>${data.locality.name}</strong> | ${supplierText} | Engine: <strong>${getEngineLabel(data.engine)}</strong></p>
                 <div class="results-stats">
                     <div class="stat-item">
                         <span class="stat-value">${data.summary.totalComponents}</span>
@@ -668,13 +1048,54 @@ function displayResults(data) {
                         <span class="stat-value">${data.summary.highConfidenceMatches}</span>
                         <span class="stat-label">High Confidence</span>
                     </div>
+                    ${data.summary.failedPositions > 0 ? `
+                        <div class="stat-item failed">
+                            <span class="stat-value">${data.summary.failedPositions}</span>
+                            <span class="stat-label">Positions Failed</span>
+                        </div>
+                    ` : ''}
+                    ${data.summary.positionsWithRuleViolations > 0 ? `
+                        <div class="stat-item failed">
+                            <span class="stat-value">${data.summary.positionsWithRuleViolations}</span>
+                            <span class="stat-label">Positions Breaking Type Rules</span>
+                        </div>
+                    ` : ''}
+                    ${data.summary.positionsWithSequenceIssues > 0 ? `
+                        <div class="stat-item failed">
+                            <span class="stat-value">${data.summary.positionsWithSequenceIssues}</span>
+                            <span class="stat-label">Positions With Sequence Issues</span>
+                        </div>
+                    ` : ''}
+                    ${linesBelowDesign > 0 ? `
+                        <div class="stat-item failed">
+                            <span class="stat-value">${linesBelowDesign}</span>
+                            <span class="stat-label">Lines Below Design MBL</span>
+                        </div>
+                    ` : ''}
+                    <div class="stat-item">
+                        <span class="stat-value">${data.summary.ruleResolvedComponents}</span>
+                        <span class="stat-label">Resolved by Rules</span>
+                    </div>
+                    ${data.summary.budgetFallbacks > 0 ? `
+                        <div class="stat-item failed">
+                            <span class="stat-value">${data.summary.budgetFallbacks}</span>
+                            <span class="stat-label">Chunks Over Budget (no AI)</span>
+                        </div>
+                    ` : ''}
                 </div>
+                ${renderUsageSummary(data.summary.usage, data.monthlySpend, data.summary.cache)}
             </div>
             
+            ${renderLineStrength(lineStrength)}
+            
             <div class="results-content">
                 ${data.results.map(renderFileResult).join('')}
             </div>
             
+            <div id="referenceResolution"></div>
+            <div id="duplicateReview"></div>
+            <div id="submissionReport"></div>
+            
             <div class="results-actions">
                 <button onclick="submitToDatabase()" class="btn-primary">💾 Submit to Database</button>
                 <button onclick="exportResults()" class="btn-secondary">📥 Export to CSV</button>
@@ -684,9 +1105,73 @@ function displayResults(data) {
     `;
 }
 
+const LINE_STRENGTH_STATUS = {
+    ok: { icon: '✅', label: 'OK' },
+    below_design: { icon: '❌', label: 'Below design MBL' },
+    incomplete: { icon: '⚠️', label: 'Some components have no MBL' },
+    no_design_mbl: { icon: '❔', label: 'Position has no design MBL, or POSITION_MBL_UNIT is not set' },
+    unrated: { icon: '❔', label: 'No component MBL known' }
+};
+
+function renderLineStrength(lines) {
+    if (lines.length === 0) return '';
+    
+    return `
+        <div class="line-strength">
+            <h4>⛓️ Weakest Link per Line</h4>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Position</th>
+                        <th>Design MBL</th>
+                        <th>Weakest link</th>
+                        <th>Link MBL</th>
+                        <th>Utilisation</th>
+                        <th>Status</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${lines.map(line => {
+                        const status = LINE_STRENGTH_STATUS[line.status];
+                        const unrated = line.unratedSequences.length > 0
+                            ? ` (no MBL for sequence ${line.unratedSequences.join(', ')})`
+                            : '';
+                        return `
+                            <tr class="line-${line.status}">
+                                <td>${line.internalPosition} <span class="line-reference">"${line.documentReference}"</span></td>
+                                <td>${line.designMblKg !== null ? `${line.designMblKg}kg` : '–'}</td>
+                                <td>${line.weakest ? `#${line.weakest.sequence} ${line.weakest.description}` : '–'}</td>
+                                <td>${line.weakest ? `${line.weakest.mblKg}kg${line.weakest.source === 'extracted' ? ' (from document)' : ''}` : '–'}</td>
+                                <td>${line.utilization !== null ? `${line.utilization}%` : '–'}</td>
+                                <td>${status.icon} ${status.label}${unrated}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+function renderUsageSummary(usage, monthlySpend, cache) {
+    const cacheHits = cache?.hits || 0;
+    if (!usage || (usage.calls === 0 && cacheHits === 0)) return '';
+    
+    return `
+        <div class="usage-summary">
+            <span>🤖 ${usage.calls} AI calls</span>
+            <span>Prompt: <strong>${usage.promptTokens.toLocaleString()}</strong> tokens (${usage.cachedTokens.toLocaleString()} cached)</span>
+            <span>Completion: <strong>${usage.completionTokens.toLocaleString()}</strong> tokens</span>
+            <span>Cost: <strong>${usage.costNok.toFixed(2)} NOK</strong> ($${usage.costUsd.toFixed(4)})</span>
+            ${cache ? `<span>Cache: <strong>${cache.hits}</strong> hits / ${cache.misses} misses (${cache.hitRate}%)</span>` : ''}
+            ${monthlySpend ? `<span class="usage-month">This month at ${monthlySpend.localityName || 'this facility'}: <strong>${monthlySpend.costNok.toFixed(2)} NOK</strong> over ${monthlySpend.runs} runs</span>` : ''}
+        </div>
+    `;
+}
+
 function renderFileResult(result) {
     const { fileName, success, catalogExtraction, error } = result;
-    const icon = fileName.endsWith('.pdf') ? '📄' : '📊';
+    const icon = getFileIcon(fileName);
     
     if (!success) {
         return `
@@ -737,14 +1222,49 @@ function renderPositionGroup(group) {
     const mappingStatus = group.mapping_found 
         ? `<span class="mapping-found">✓ Mapped to Position ${group.internal_position}</span>`
         : `<span class="mapping-missing">⚠️ No mapping found</span>`;
+    const failed = group.extraction_status === 'failed';
+    const violations = group.rule_violations || [];
+    const sequenceIssues = group.sequence_issues || [];
     
     return `
-        <div class="position-group">
+        <div class="position-group ${failed ? 'extraction-failed' : ''}">
             <div class="group-header">
                 <h6>📍 "${group.document_reference}" ${mappingStatus}</h6>
-                <span class="component-count">${group.components?.length || 0} components</span>
+                ${failed 
+                    ? '<span class="component-count failed">❌ Extraction failed</span>' 
+                    : `<span class="component-count">${group.components?.length || 0} components</span>`}
+                ${group.extraction_status === 'budget_fallback' ? '<span class="component-count budget-fallback">💸 Extracted without AI (budget reached)</span>' : ''}
+                ${violations.length > 0 ? `<span class="component-count rule-violation">⚠️ ${violations.length} rule warning${violations.length === 1 ? '' : 's'}</span>` : ''}
+                ${sequenceIssues.length > 0 ? `<span class="component-count rule-violation">🔢 ${sequenceIssues.length} sequence issue${sequenceIssues.length === 1 ? '' : 's'}</span>` : ''}
             </div>
             
+            ${violations.length > 0 ? `
+                <div class="rule-violations">
+                    <p>These components do not fit a ${group.position_type} position. Check the extraction before submitting.</p>
+                    <ul>
+                        ${violations.map(v => `<li>${v.message}</li>`).join('')}
+                    </ul>
+                </div>
+            ` : ''}
+            
+            ${sequenceIssues.length > 0 ? `
+                <div class="rule-violations">
+                    <p>The component chain has gaps, duplicates or rows out of order. Check the sequence numbers in the document.</p>
+                    <ul>
+                        ${sequenceIssues.map(issue => `<li>${issue.message}</li>`).join('')}
+                    </ul>
+                </div>
+            ` : ''}
+            
+            ${failed ? `
+                <div class="extraction-errors">
+                    <p>The components of this position could not be extracted. Re-run the file or enter them manually.</p>
+                    <ul>
+                        ${(group.extraction_errors || []).slice(0, 5).map(e => `<li>${e}</li>`).join('')}
+                    </ul>
+                </div>
+            ` : ''}
+            
             <div class="components-list">
                 ${(group.components || []).map((comp, idx) => renderComponent(comp, group.position_id, idx)).join('')}
             </div>
@@ -754,10 +1274,15 @@ function renderPositionGroup(group) {
 
 function renderComponent(comp, positionId, componentIndex) {
     const hasMatch = comp.matched_product_id !== null && comp.matched_product_id !== undefined;
-    const confidenceClass = comp.match_confidence >= 0.9 ? 'high' : 
-                           comp.match_confidence >= 0.6 ? 'medium' : 'low';
-    
-    let displaySupplier = null;
+    const hasOcr = typeof comp.ocr_confidence === 'number';
+    const effectiveConfidence = hasOcr 
+        ? Math.min(comp.match_confidence ?? 1, comp.ocr_confidence) 
+        : comp.match_confidence;
+    const confidenceClass = effectiveConfidence >= 0.9 ? 'high' : 
+                           effectiveConfidence >= 0.6 ? 'medium' : 'low';
+    const ocrClass = hasOcr && comp.ocr_confidence < 0.6 ? 'low' : 'ok';
+    
+    let displaySupplier = comp.manufacturer || null;
     if (hasMatch && allProducts) {
         const matchedProduct = allProducts.find(p => p.id === comp.matched_product_id);
         if (matchedProduct) {
@@ -780,20 +1305,37 @@ function renderComponent(comp, positionId, componentIndex) {
                     ${comp.tracking_number ? `<span class="tracking">📋 ${comp.tracking_number}</span>` : ''}
                     ${comp.quantity ? `<span class="quantity">×${comp.quantity} ${comp.unit || ''}</span>` : ''}
                     ${comp.mbl_kg ? `<span class="mbl">⚖️ ${comp.mbl_kg}kg</span>` : ''}
+                    ${hasOcr ? `<span class="ocr-confidence ${ocrClass}" title="OCR recognition confidence">🔤 OCR ${Math.round(comp.ocr_confidence * 100)}%</span>` : ''}
+                    ${comp.provenance ? `<span class="provenance ${comp.provenance}" title="Where the match came from">${PROVENANCE_LABELS[comp.provenance] || comp.provenance}</span>` : ''}
                 </div>
+                ${comp.manufacturer && !comp.supplier_id ? `
+                    <div class="alias-editor">
+                        <span class="alias-unresolved">⚠️ Unknown supplier "${comp.manufacturer}"</span>
+                        <input 
+                            type="text" 
+                            class="alias-search-input" 
+                            placeholder="Link to supplier..."
+                            oninput="searchSupplierForAlias(this.value, ${positionId}, ${componentIndex})"
+                        />
+                        <div class="supplier-dropdown" id="alias_dropdown_${positionId}_${componentIndex}"></div>
+                    </div>
+                ` : ''}
                 ${hasMatch ? `
                     <div class="match-info">
                         <span class="match-badge ${confidenceClass}">
                             🎯 Matched to Product #${comp.matched_product_id}
                         </span>
-                        <span class="confidence">${Math.round(comp.match_confidence * 100)}%</span>
+                        <span class="confidence">${Math.round(effectiveConfidence * 100)}%</span>
                         <button class="btn-change" onclick="editComponent(${positionId}, ${componentIndex})">Change</button>
                     </div>
+                    ${renderMatchBreakdown(comp.match_breakdown)}
                 ` : `
                     <div class="match-info">
                         <span class="no-match">❌ No catalog match</span>
                         <button class="btn-change active" onclick="editComponent(${positionId}, ${componentIndex})">Select Product</button>
                     </div>
+                    ${comp.match_reason ? `<div class="match-reason">${comp.match_reason}</div>` : ''}
+                    ${renderMatchBreakdown(comp.match_breakdown)}
                 `}
             </div>
             <div id="${editId}" class="component-editor" style="display: none;">
@@ -826,6 +1368,23 @@ function renderComponent(comp, positionId, componentIndex) {
     `;
 }
 
+function renderMatchBreakdown(breakdown) {
+    if (!breakdown) return '';
+    
+    const signals = Object.entries(breakdown).filter(([, signal]) => signal.applicable);
+    if (signals.length === 0) return '';
+    
+    return `
+        <div class="match-breakdown">
+            ${signals.map(([name, signal]) => `
+                <span class="match-signal ${signal.veto ? 'veto' : signal.score >= 1 ? 'exact' : signal.score > 0 ? 'partial' : 'miss'}" title="${signal.detail}">
+                    ${name} ${Math.round(signal.score * 100)}%
+                </span>
+            `).join('')}
+        </div>
+    `;
+}
+
 let componentEditState = {};
 
 function editComponent(positionId, componentIndex) {
@@ -937,7 +1496,7 @@ function searchProductForComponent(searchTerm, positionId, componentIndex) {
         <div class="dropdown-item" onclick="selectProductForComponent(${p.id}, '${p.description.replace(/'/g, "\\'")}', ${positionId}, ${componentIndex})">
             <strong>${p.description}</strong>
             <div class="product-meta">
-                ${p.mbl ? `MBL: ${p.mbl}kg` : ''} ${p.internalNumber ? `| #${p.internalNumber}` : ''}
+                ${p.mblKg ? `MBL: ${p.mblKg}kg` : ''} ${p.internalNumber ? `| #${p.internalNumber}` : ''}
             </div>
         </div>
     `).join('');
@@ -977,6 +1536,7 @@ function saveComponentEdit(positionId, componentIndex) {
                     group.components[componentIndex].matched_product_id = editState.selectedProduct.id;
                     group.components[componentIndex].match_confidence = 1.0;
                     group.components[componentIndex].match_reason = 'Manually selected';
+                    group.components[componentIndex].provenance = 'manual';
                 }
             });
         }
@@ -1000,6 +1560,99 @@ function cancelComponentEdit(positionId, componentIndex) {
     delete componentEditState[key];
 }
 
+function searchSupplierForAlias(searchTerm, positionId, componentIndex) {
+    const dropdown = document.getElementById(`alias_dropdown_${positionId}_${componentIndex}`);
+    if (!dropdown) return;
+    
+    if (searchTerm.length < 3) {
+        dropdown.innerHTML = `<div class="dropdown-hint">Type at least 3 characters... (${allSuppliers.length} suppliers available)</div>`;
+        dropdown.style.display = 'block';
+        return;
+    }
+    
+    const term = searchTerm.toLowerCase();
+    const filtered = allSuppliers.filter(s => s.Name.toLowerCase().includes(term)).slice(0, 5);
+    
+    if (filtered.length === 0) {
+        dropdown.innerHTML = '<div class="dropdown-hint">No suppliers found</div>';
+        dropdown.style.display = 'block';
+        return;
+    }
+    
+    dropdown.innerHTML = filtered.map(s => `
+        <div class="dropdown-item" onclick="linkSupplierAlias(${s.Id}, ${positionId}, ${componentIndex})">
+            <strong>${s.Name}</strong>
+            <span class="product-count">${s.productCount} products</span>
+        </div>
+    `).join('');
+    dropdown.style.display = 'block';
+}
+
+async function linkSupplierAlias(supplierId, positionId, componentIndex) {
+    if (!extractedData) return;
+    
+    let alias = null;
+    extractedData.results.forEach(result => {
+        if (result.catalogExtraction && result.catalogExtraction.data) {
+            result.catalogExtraction.data.position_groups.forEach(group => {
+                const comp = group.components[componentIndex];
+                if (group.position_id === positionId && comp) {
+                    alias = comp.manufacturer_raw || comp.manufacturer;
+                }
+            });
+        }
+    });
+    
+    if (!alias) return;
+    
+    try {
+        const resolved = await fileProcessor.addSupplierAlias(alias, supplierId);
+        const key = alias.toString().trim().toLowerCase();
+        let updated = 0;
+        
+        // Every component spelled the same way in this run belongs to the same supplier
+        extractedData.results.forEach(result => {
+            if (result.catalogExtraction && result.catalogExtraction.data) {
+                result.catalogExtraction.data.position_groups.forEach(group => {
+                    group.components.forEach(comp => {
+                        const name = (comp.manufacturer_raw || comp.manufacturer || '').toString().trim().toLowerCase();
+                        if (name === key) {
+                            comp.manufacturer_raw = comp.manufacturer_raw || comp.manufacturer;
+                            comp.manufacturer = resolved.supplierName;
+                            comp.supplier_id = resolved.supplierId;
+                            updated++;
+                        }
+                    });
+                });
+            }
+        });
+        
+        displayResults(extractedData);
+        showNotification(`✅ "${alias}" linked to ${resolved.supplierName} (${updated} components)`, 'success');
+    } catch (error) {
+        logger.error('Failed to save supplier alias', error);
+        showError(`Failed to save supplier alias: ${error.message}`);
+    }
+}
+
+// Only positions that will actually be submitted
+function getSubmissionWarnings() {
+    const flagged = [];
+    
+    extractedData.results.forEach(result => {
+        if (!result.success || !result.catalogExtraction?.success) return;
+        
+        (result.catalogExtraction.data.position_groups || []).forEach(group => {
+            if (!group.position_id) return;
+            [...(group.rule_violations || []), ...(group.sequence_issues || [])].forEach(warning => {
+                flagged.push({ reference: group.document_reference, message: warning.message });
+            });
+        });
+    });
+    
+    return flagged;
+}
+
 async function submitToDatabase() {
     if (!extractedData) {
         showError('No data to submit');
@@ -1008,6 +1661,17 @@ async function submitToDatabase() {
     
     showNotification('🔄 Submitting components to database...', 'info');
     
+    const flagged = getSubmissionWarnings();
+    if (flagged.length > 0) {
+        const lines = flagged.slice(0, 10).map(({ reference, message }) => `• ${reference}: ${message}`);
+        if (flagged.length > 10) lines.push(`…and ${flagged.length - 10} more`);
+        
+        if (!confirm(`${flagged.length} warning${flagged.length === 1 ? '' : 's'} on the positions being submitted:\n\n${lines.join('\n')}\n\nSubmit anyway?`)) {
+            showNotification('Submission cancelled, review the warnings first', 'info');
+            return;
+        }
+    }
+    
     try {
         const componentsToInsert = [];
         
@@ -1025,12 +1689,15 @@ async function submitToDatabase() {
                                 productId: comp.matched_product_id,
                                 productNumber: comp.tracking_number,
                                 productDescription: comp.description,
-                                supplierId: null,
+                                supplierId: comp.supplier_id || null,
+                                manufacturer: comp.manufacturer_raw || comp.manufacturer || '',
                                 quantity: comp.quantity || 1,
                                 unitId: null,
+                                unit: comp.unit || '',
                                 mbl: comp.mbl_kg,
                                 installationDate: comp.installation_date,
-                                notes: comp.notes
+                                notes: comp.notes,
+                                sequence: comp.sequence
                             });
                         }
                     });
@@ -1043,22 +1710,291 @@ async function submitToDatabase() {
             return;
         }
         
-        const insertResults = await fileProcessor.insertComponents(componentsToInsert);
-        
-        const successful = insertResults.filter(r => r.success).length;
-        const failed = insertResults.filter(r => !r.success).length;
+        const { components, unresolved } = await fileProcessor.resolveComponentReferences(componentsToInsert);
         
-        if (failed > 0) {
-            showNotification(`⚠️ Inserted ${successful} components, ${failed} failed`, 'warning');
-        } else {
-            showNotification(`✅ Successfully inserted ${successful} components to database!`, 'success');
+        if (unresolved.length > 0) {
+            pendingSubmission = { components, choices: groupUnresolvedReferences(unresolved) };
+            await renderReferenceResolution(pendingSubmission.choices);
+            showNotification(`⚠️ Pick a supplier or unit for ${pendingSubmission.choices.length} unresolved values before submitting`, 'warning');
+            return;
         }
         
+        await reviewAndInsert(components);
+    } catch (error) {
+        showError('Failed to submit to database: ' + error.message);
+    }
+}
+
+// Components already stored on their position are shown for review instead of being inserted again
+async function reviewAndInsert(components) {
+    const review = await fileProcessor.findExistingComponents(components);
+    
+    if (review.summary.identical === 0 && review.summary.changed === 0 && review.unmatched.length === 0) {
+        await insertResolvedComponents(components);
+        return;
+    }
+    
+    pendingSubmission = { components, review };
+    renderDuplicateReview(review, components);
+    showNotification(`⚠️ The target positions already have ${review.summary.identical + review.summary.changed + review.unmatched.length} stored components, review them before submitting`, 'warning');
+}
+
+async function insertResolvedComponents(components, actions = []) {
+    showSubmissionOutcome(await fileProcessor.insertComponents(components, actions));
+}
+
+function showSubmissionOutcome(report) {
+    renderSubmissionReport(report);
+    
+    if (report.success) {
+        const counts = { insert: 0, update: 0, replace: 0, skip: 0 };
+        report.results.forEach(r => counts[r.action]++);
+        showNotification(`✅ Inserted ${counts.insert + counts.replace}, updated ${counts.update}, skipped ${counts.skip}, replaced ${report.replaced} and removed ${report.removed} stored components`, 'success');
+    } else {
+        showError(report.error);
+    }
+}
+
+const DUPLICATE_ACTIONS = {
+    new: [['insert', 'Insert'], ['skip', 'Skip']],
+    identical: [['skip', 'Skip'], ['update', 'Update'], ['replace', 'Replace']],
+    changed: [['update', 'Update'], ['replace', 'Replace'], ['skip', 'Skip']]
+};
+
+function formatDiffValue(field, value) {
+    if (value === null || value === undefined || value === '') return '–';
+    if (field !== 'product') return value;
+    
+    const product = allProducts.find(p => p.id === value);
+    return product ? `${product.description} (#${value})` : `#${value}`;
+}
+
+function renderDuplicateReview(review, components) {
+    const container = document.getElementById('duplicateReview');
+    if (!container) return;
+    
+    const existingEntries = review.entries.filter(entry => entry.status !== 'new');
+    
+    container.innerHTML = `
+        <div class="duplicate-review">
+            <h4>🔁 Components Already in the Database</h4>
+            <p>
+                <strong>${review.summary.new}</strong> new,
+                <strong>${review.summary.identical}</strong> identical,
+                <strong>${review.summary.changed}</strong> changed.
+                Update keeps the stored component and overwrites it, replace retires it and links it to the extracted one.
+            </p>
+            ${review.unmatched.length > 0 ? `
+                <p>⚠️ <strong>${review.unmatched.length}</strong> stored components on these positions are not in the document. They are kept unless you tick them and replace the position contents.</p>
+            ` : ''}
+            <table>
+                <thead>
+                    <tr>
+                        <th>Position</th>
+                        <th>Component</th>
+                        <th>Status</th>
+                        <th>Differences</th>
+                        <th>Action</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${existingEntries.map(entry => {
+                        const comp = components[entry.index];
+                        return `
+                            <tr class="duplicate-${entry.status}">
+                                <td>${positionMappings.find(m => m.positionId === comp.positionId)?.positionName || comp.positionId}</td>
+                                <td>#${comp.sequence ?? '–'} ${comp.productDescription}</td>
+                                <td>${entry.status === 'identical' ? '= Identical' : '≠ Changed'}</td>
+                                <td>${entry.changes.map(c => `${c.label}: ${formatDiffValue(c.field, c.before)} → ${formatDiffValue(c.field, c.after)}`).join('<br>') || '–'}</td>
+                                <td>
+                                    <select id="duplicate_action_${entry.index}">
+                                        ${DUPLICATE_ACTIONS[entry.status].map(([value, label]) => `<option value="${value}" ${value === entry.action ? 'selected' : ''}>${label}</option>`).join('')}
+                                    </select>
+                                </td>
+                            </tr>
+                        `;
+                    }).join('')}
+                    ${review.unmatched.map(stored => `
+                        <tr class="duplicate-unmatched">
+                            <td>${positionMappings.find(m => m.positionId === stored.PositionId)?.positionName || stored.PositionId}</td>
+                            <td>#${stored.Sequence ?? '–'} ${stored.ProductDescription}</td>
+                            <td>∅ Not in document</td>
+                            <td>–</td>
+                            <td>
+                                <label><input type="checkbox" id="unmatched_remove_${stored.Id}"> Remove when replacing</label>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            <div class="resolution-actions">
+                <button onclick="submitReviewedComponents()" class="btn-primary">💾 Submit ${review.summary.new} New and Selected</button>
+                <button onclick="replacePositionContents()" class="btn-secondary">♻️ Replace Position Contents</button>
+                <button onclick="cancelDuplicateReview()" class="btn-secondary">Cancel</button>
+            </div>
+        </div>
+    `;
+}
+
+async function submitReviewedComponents() {
+    if (!pendingSubmission?.review) return;
+    
+    const { components, review } = pendingSubmission;
+    const actions = review.entries.map(entry => ({
+        action: document.getElementById(`duplicate_action_${entry.index}`)?.value || entry.action,
+        existingId: entry.existing ? entry.existing.Id : null
+    }));
+    
+    cancelDuplicateReview();
+    
+    try {
+        await insertResolvedComponents(components, actions);
+    } catch (error) {
+        showError('Failed to submit to database: ' + error.message);
+    }
+}
+
+// Replaces every matched stored component with its extracted counterpart; stored-only components are removed only when ticked
+async function replacePositionContents() {
+    if (!pendingSubmission?.review) return;
+    
+    const { components, review } = pendingSubmission;
+    const replaced = review.entries.filter(entry => entry.existing).length;
+    const removeIds = review.unmatched
+        .filter(stored => document.getElementById(`unmatched_remove_${stored.Id}`)?.checked)
+        .map(stored => stored.Id);
+    const kept = review.unmatched.length - removeIds.length;
+    
+    if (!confirm(`Insert the ${components.length} extracted components, replace ${replaced} stored components they match and remove ${removeIds.length} that are not in the document${kept > 0 ? ` (${kept} kept)` : ''}?`)) {
+        return;
+    }
+    
+    cancelDuplicateReview();
+    
+    try {
+        showSubmissionOutcome(await fileProcessor.replacePositionContents(components, removeIds));
+    } catch (error) {
+        showError('Failed to replace position contents: ' + error.message);
+    }
+}
+
+function cancelDuplicateReview() {
+    pendingSubmission = null;
+    const container = document.getElementById('duplicateReview');
+    if (container) container.innerHTML = '';
+}
+
+function renderSubmissionReport(report) {
+    const container = document.getElementById('submissionReport');
+    if (!container) return;
+    
+    if (report.success) {
+        container.innerHTML = `
+            <div class="submission-report success">
+                ✅ Saved ${report.results.filter(r => !r.skipped).length} components in submission <code>${report.submissionBatchId}</code>${report.replaced > 0 ? `, ${report.replaced} superseded components replaced` : ''}${report.removed > 0 ? `, ${report.removed} components removed from the line` : ''}
+            </div>
+        `;
+        return;
+    }
+    
+    const failedRows = report.results.filter(r => r.error);
+    container.innerHTML = `
+        <div class="submission-report failed">
+            <p>❌ ${report.error}</p>
+            <ul>
+                ${failedRows.map(r => `<li>Row ${r.row} (position ${r.positionId}, "${r.productDescription}"): ${r.error}</li>`).join('')}
+            </ul>
+        </div>
+    `;
+}
+
+// One choice per distinct supplier name or unit text, so "Ukjent AS" on ten rows is picked once
+function groupUnresolvedReferences(unresolved) {
+    const choices = new Map();
+    
+    unresolved.forEach(({ index, field, value }) => {
+        const key = `${field}:${value.toString().trim().toLowerCase()}`;
+        if (!choices.has(key)) choices.set(key, { field, value, indexes: [] });
+        choices.get(key).indexes.push(index);
+    });
+    
+    return [...choices.values()];
+}
+
+async function renderReferenceResolution(choices) {
+    const container = document.getElementById('referenceResolution');
+    if (!container) return;
+    
+    const units = await fileProcessor.getUnits();
+    const suppliers = [...allSuppliers].sort((a, b) => a.Name.localeCompare(b.Name));
+    
+    container.innerHTML = `
+        <div class="reference-resolution">
+            <h4>🔗 Resolve Suppliers and Units</h4>
+            <p>Neither the matched product nor the document gives a supplier or unit for these components. Pick one for each before they are inserted.</p>
+            ${choices.map((choice, idx) => `
+                <div class="resolution-row">
+                    <span>
+                        ${choice.field === 'supplier' ? '🏭 Supplier' : '📏 Unit'} for
+                        <strong>${choice.value ? `"${choice.value}"` : '(not in document)'}</strong>
+                        (${choice.indexes.length} component${choice.indexes.length === 1 ? '' : 's'})
+                    </span>
+                    <select id="resolution_${idx}">
+                        <option value="">Choose ${choice.field}…</option>
+                        ${choice.field === 'supplier'
+                            ? suppliers.map(s => `<option value="${s.Id}">${s.Name}</option>`).join('')
+                            : units.map(u => `<option value="${u.Id}">${u.Name}${u.Abbreviation ? ` (${u.Abbreviation})` : ''}</option>`).join('')}
+                    </select>
+                </div>
+            `).join('')}
+            <div class="resolution-actions">
+                <button onclick="submitWithResolvedReferences()" class="btn-primary">💾 Submit with Selections</button>
+                <button onclick="cancelReferenceResolution()" class="btn-secondary">Cancel</button>
+            </div>
+        </div>
+    `;
+}
+
+async function submitWithResolvedReferences() {
+    if (!pendingSubmission) return;
+    
+    const { components, choices } = pendingSubmission;
+    const picks = choices.map((choice, idx) => parseInt(document.getElementById(`resolution_${idx}`)?.value, 10));
+    
+    if (picks.some(id => !id)) {
+        showError('Choose a supplier or unit for every row before submitting');
+        return;
+    }
+    
+    for (const [idx, choice] of choices.entries()) {
+        const field = choice.field === 'supplier' ? 'supplierId' : 'unitId';
+        choice.indexes.forEach(index => { components[index][field] = picks[idx]; });
+        
+        // Remember the spelling so the next document resolves on its own
+        if (choice.field === 'supplier' && choice.value) {
+            try {
+                await fileProcessor.addSupplierAlias(choice.value, picks[idx]);
+            } catch (error) {
+                logger.warn('Failed to save supplier alias', { alias: choice.value, error: error.message });
+            }
+        }
+    }
+    
+    cancelReferenceResolution();
+    
+    try {
+        await reviewAndInsert(components);
     } catch (error) {
         showError('Failed to submit to database: ' + error.message);
     }
 }
 
+function cancelReferenceResolution() {
+    pendingSubmission = null;
+    const container = document.getElementById('referenceResolution');
+    if (container) container.innerHTML = '';
+}
+
 function exportResults() {
     showNotification('Export feature coming soon!', 'info');
 }
@@ -1067,11 +2003,17 @@ function clearAll() {
     uploadedFiles = [];
     positionMappings = [];
     extractedData = null;
+    pendingSubmission = null;
     currentLocality = null;
     currentMooring = null;
     currentPositions = [];
+    facilityPositions = [];
+    scannedReferences = [];
+    savedReferences = new Map();
     selectedSupplier = null;
+    selectedEngine = 'catalog';
     componentEditState = {};
+    fileProcessor.clearDocumentCache();
     
     if (selectedFiles) selectedFiles.innerHTML = '';
     if (fileList) fileList.style.display = 'none';
@@ -1111,14 +2053,22 @@ window.selectLocality = selectLocality;
 window.filterLocalities = filterLocalities;
 window.updatePositionMapping = updatePositionMapping;
 window.savePositionMappings = savePositionMappings;
+window.importMappingTemplate = importMappingTemplate;
+window.exportMappingTemplate = exportMappingTemplate;
 window.backToUpload = backToUpload;
 window.backToLocality = backToLocality;
 window.backToMapping = backToMapping;
 window.searchSuppliers = searchSuppliers;
+window.selectEngine = selectEngine;
 window.selectSupplier = selectSupplier;
 window.skipSupplierSelection = skipSupplierSelection;
 window.proceedToProcessing = proceedToProcessing;
 window.submitToDatabase = submitToDatabase;
+window.submitWithResolvedReferences = submitWithResolvedReferences;
+window.cancelReferenceResolution = cancelReferenceResolution;
+window.submitReviewedComponents = submitReviewedComponents;
+window.cancelDuplicateReview = cancelDuplicateReview;
+window.replacePositionContents = replacePositionContents;
 window.exportResults = exportResults;
 window.editComponent = editComponent;
 window.searchSupplierForComponent = searchSupplierForComponent;
@@ -1126,4 +2076,6 @@ window.selectSupplierForComponent = selectSupplierForComponent;
 window.searchProductForComponent = searchProductForComponent;
 window.selectProductForComponent = selectProductForComponent;
 window.saveComponentEdit = saveComponentEdit;
-window.cancelComponentEdit = cancelComponentEdit;
\ No newline at end of file
+window.cancelComponentEdit = cancelComponentEdit;
+window.searchSupplierForAlias = searchSupplierForAlias;
+window.linkSupplierAlias = linkSupplierAlias;
\ No newline at end of file
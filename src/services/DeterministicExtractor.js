@@ -1,47 +1,97 @@
-const XLSX = require('xlsx');
-const OpenAI = require('openai');
 const fs = require('fs');
-require('dotenv').config();
+const CatalogMatcher = require('./catalogMatcher');
+const { classifyComponentType } = require('./componentTypes');
+const { specValues } = require('./specParser');
+const { classifyPositionType } = require('./positionTypes');
+const { createLlmProvider } = require('./llmProvider');
+const { estimateTokens } = require('./usageTracker');
+const { AiResponseCache } = require('./aiResponseCache');
+const RequestScheduler = require('./requestScheduler');
+const { normalizeSequence, compareSequences } = require('./sequenceIntegrity');
+const { findPositionColumn } = require('./positionColumn');
 const logger = require('../utils/logger');
 
+const INTERPRET_PROMPT_TOKENS = 150;
+const INTERPRET_COMPLETION_TOKENS = 100;
+// Bump when the interpret/classify prompts change so persisted answers from the old prompts are not reused
+const PROMPT_VERSION = 1;
+
 class HybridExtractor {
-constructor() {
-this.client = new OpenAI({
-apiKey: process.env.OPENAI_API_KEY,
-dangerouslyAllowBrowser: true
-});
-this.model = 'gpt-4o-mini';
-this.knownManufacturers = [
-'AQS TOR', 'Aqualine', 'Aqua Supporter', 'Scale AQ',
-'Mørenot', 'Løvold', 'FSV Group', 'Frøy'
-];
+constructor(options = {}) {
+this.useAI = options.useAI !== false;
+this.llm = this.useAI ? (options.llm || createLlmProvider()) : null;
+this.model = this.llm ? this.llm.model : null;
+this.scheduler = options.scheduler || new RequestScheduler();
+this.productCatalog = options.productCatalog || [];
+this.supplierRegistry = options.supplierRegistry || null;
+this.matcher = new CatalogMatcher(this.productCatalog, { supplierRegistry: this.supplierRegistry });
 this.aiCallCount = 0;
 this.aiCache = new Map();
+this.responseCache = options.aiCache || new AiResponseCache({ file: null });
 this.aiConcurrency = 10;
+this.usageTracker = null;
+this.usageContext = {};
+}
+
+setUsageTracker(tracker) {
+    this.usageTracker = tracker;
+}
+
+setAiCache(cache) {
+    this.responseCache = cache;
+}
+
+setScheduler(scheduler) {
+    this.scheduler = scheduler;
+}
+
+requestLabel(purpose) {
+    const { file, sheet } = this.usageContext;
+    return [file, sheet, purpose].filter(Boolean).join(' / ');
+}
+
+interpretCacheKey(component) {
+    return `${component.rawText}|${component.manufacturer || ''}|${component.tracking || ''}|${component.partNumber || ''}`;
+}
+
+recordUsage(response, context = {}) {
+    if (!this.usageTracker) return;
+    this.usageTracker.record({ model: response.model, usage: response.usage, ...this.usageContext, ...context });
+}
+
+setSupplierRegistry(registry) {
+    this.supplierRegistry = registry;
+    this.matcher = new CatalogMatcher(this.productCatalog, { supplierRegistry: registry });
+}
+
+resolveSupplier(name) {
+    if (!this.supplierRegistry || !name) return null;
+    return this.supplierRegistry.resolve(name);
+}
+
+setProductCatalog(catalog) {
+    this.productCatalog = catalog;
+    this.matcher = new CatalogMatcher(catalog, { supplierRegistry: this.supplierRegistry });
+    logger.info(`Product catalog loaded: ${catalog.length} products`);
 }
 
-async extractFromExcel(filePath, fileName) {
+async extractFromTables(tables, fileName, positionMappings = [], documentInfo = {}) {
     try {
-        logger.info('Starting HYBRID extraction', { fileName });
+        logger.info(`Starting ${this.useAI ? 'HYBRID' : 'DETERMINISTIC'} extraction`, { fileName });
         this.aiCallCount = 0;
-        const workbook = XLSX.readFile(filePath);
+        this.usageContext = { file: fileName };
         const allPositionGroups = [];
-        for (const sheetName of workbook.SheetNames) {
-            if (this.shouldSkipSheet(sheetName)) {
-                logger.info(`Skipping sheet: ${sheetName}`);
-                continue;
-            }
-            logger.info(`Processing sheet: ${sheetName}`);
-            const worksheet = workbook.Sheets[sheetName];
-            const rows = XLSX.utils.sheet_to_json(worksheet, { defval: '', raw: false });
-            if (!rows || rows.length === 0) continue;
-            const normalizedRows = rows.map(r => this.normalizeRow(r));
-            const positionGroups = await this.groupAndProcessRows(normalizedRows, sheetName);
+        for (const table of tables) {
+            if (!table.rows || table.rows.length === 0) continue;
+            logger.info(`Processing table: ${table.name}`);
+            this.usageContext.sheet = table.name;
+            const normalizedRows = table.rows.map(r => this.normalizeRow(r));
+            const positionGroups = await this.groupAndProcessRows(normalizedRows, table.name, positionMappings);
             allPositionGroups.push(...positionGroups);
         }
-        logger.info('HYBRID extraction complete', {
+        logger.info(`${this.useAI ? 'HYBRID' : 'DETERMINISTIC'} extraction complete`, {
             totalPositions: allPositionGroups.length,
-            totalComponents: allPositionGroups.reduce((s, g) => s + (g.komponenter?.length || 0), 0),
+            totalComponents: allPositionGroups.reduce((s, g) => s + (g.components?.length || 0), 0),
             aiCallsMade: this.aiCallCount
         });
         return {
@@ -49,9 +99,12 @@ async extractFromExcel(filePath, fileName) {
             data: {
                 document_info: {
                     filename: fileName,
-                    type: 'excel',
-                    extraction_method: 'hybrid_deterministic_ai',
-                    ai_calls_made: this.aiCallCount
+                    type: documentInfo.documentType,
+                    page_count: documentInfo.pageCount,
+                    ocr_page_count: documentInfo.ocrPageCount,
+                    extraction_method: this.useAI ? 'hybrid_deterministic_ai' : 'deterministic',
+                    ai_calls_made: this.aiCallCount,
+                    catalog_size: this.productCatalog.length
                 },
                 position_groups: allPositionGroups
             }
@@ -66,6 +119,18 @@ async extractFromExcel(filePath, fileName) {
     }
 }
 
+findPositionReferences(tables) {
+    const references = [];
+    for (const table of tables) {
+        for (const row of (table.rows || []).map(r => this.normalizeRow(r))) {
+            const position = (row.posisjon || '').toString().trim();
+            if (!position || this.isHeaderRowRow(row)) continue;
+            if (!references.includes(position)) references.push(position);
+        }
+    }
+    return references;
+}
+
 shouldSkipSheet(sheetName) {
     const skipPatterns = ['not_flytekrage', 'flytekrage', 'bunnringsoppheng', 'not', 'ekstra'];
     const nameLower = (sheetName || '').toString().toLowerCase();
@@ -83,9 +148,11 @@ normalizeRow(row) {
         }
         return '';
     };
+    // Headers like "Linje" or "Posisjon nr" are found the same way the catalog engine and the PDF layout find them
+    const positionColumn = findPositionColumn(Object.keys(row));
     return {
         raw: row,
-        posisjon: get(['navn / nummer', 'navn', 'nummer', 'posisjon', 'position', 'positioner']),
+        posisjon: get(['navn / nummer', 'navn', 'nummer', 'posisjon', 'position', 'positioner']) || (positionColumn ? row[positionColumn] : ''),
         rekkefolge: get(['rekkefølge', 'rekkefølge ', 'sequence', 'sekvens', 'pos']),
         type: get(['komponenttype', 'type', 'komponent', 'component']),
         subtype: get(['komponenttype i bruk', 'subtype', 'beskrivelse', 'description']),
@@ -96,7 +163,7 @@ normalizeRow(row) {
     };
 }
 
-async groupAndProcessRows(rows, sheetName) {
+async groupAndProcessRows(rows, sheetName, positionMappings = []) {
     const grouped = {};
     for (const row of rows) {
         const position = (row.posisjon || '').toString().trim();
@@ -107,43 +174,77 @@ async groupAndProcessRows(rows, sheetName) {
     }
     const positionGroups = [];
     for (const [position, components] of Object.entries(grouped)) {
-        components.sort((a, b) => {
-            const seqA = parseFloat((a.rekkefolge || '').toString().replace(',', '.')) || 999;
-            const seqB = parseFloat((b.rekkefolge || '').toString().replace(',', '.')) || 999;
-            return seqA - seqB;
-        });
+        const documentSequences = components.map(c => c.rekkefolge);
+        components.sort((a, b) => compareSequences(a.rekkefolge, b.rekkefolge));
         const preparedComponents = components.map(c => this.prepareForAI(c));
         const componentsWithAi = await this.resolveComponentsWithAI(preparedComponents);
-        const processedComponents = componentsWithAi.map(c => ({
-            sekvens: parseInt(c.rekkefolge) || 0,
-            type: c.componentType || 'ukjent',
-            type_original: c.rawType || '',
-            beskrivelse: c.rawText || '',
-            mengde: c.antall || 1,
-            spesifikasjoner: {
-                vekt_kg: c.specs.weight_kg ?? null,
-                lengde_m: c.specs.length_m ?? null,
-                diameter_mm: c.specs.diameter_mm ?? null,
-                kapasitet_t: c.specs.capacity_t ?? null
-            },
-            leverandor: c.cleanManufacturer || c.manufacturer || '',
-            sporingsnummer: c.tracking || '',
-            part_number: c.partNumber || '',
-            montert_dato: c.montert_dato || '',
-            confidence: c.confidence || 1.0
-        }));
+        const processedComponents = componentsWithAi.map(c => this.applyCatalogMatch(this.toComponent(c)));
         if (processedComponents.length > 0) {
+            const mapping = positionMappings.find(m =>
+                m.documentReference.toLowerCase() === position.toLowerCase()
+            );
             positionGroups.push({
-                dokument_referanse: position,
-                posisjon_type: this.classifyPositionType(position),
-                sheet_kilde: sheetName,
-                komponenter: processedComponents
+                document_reference: position,
+                internal_position: mapping ? mapping.internalPosition : null,
+                position_id: mapping ? mapping.positionId : null,
+                mapping_found: !!mapping,
+                position_type: this.classifyPositionType(position),
+                sheet_source: sheetName,
+                document_sequences: documentSequences,
+                components: processedComponents
             });
         }
     }
     return positionGroups;
 }
 
+toComponent(c) {
+    const componentType = !c.componentType || c.componentType === 'ukjent' ? 'unknown' : c.componentType;
+    const capacityT = c.specs.capacity_t ?? null;
+    const manufacturer = c.cleanManufacturer || c.manufacturer || '';
+    const supplier = this.resolveSupplier(manufacturer);
+    return {
+        sequence: normalizeSequence(c.rekkefolge) || 0,
+        type: componentType,
+        type_original: c.rawType || '',
+        description: c.rawText || '',
+        manufacturer: supplier ? supplier.supplierName : manufacturer,
+        manufacturer_raw: manufacturer,
+        supplier_id: supplier ? supplier.supplierId : null,
+        matched_product_id: null,
+        match_confidence: null,
+        match_reason: null,
+        tracking_number: c.tracking || null,
+        part_number: c.partNumber || null,
+        quantity: Number(c.antall) || 1,
+        unit: null,
+        mbl_kg: capacityT !== null ? capacityT * 1000 : null,
+        specifications: {
+            weight_kg: c.specs.weight_kg ?? null,
+            length_m: c.specs.length_m ?? null,
+            diameter_mm: c.specs.diameter_mm ?? null,
+            capacity_t: capacityT
+        },
+        installation_date: c.montert_dato || null,
+        notes: null,
+        extraction_confidence: c.confidence || 1.0,
+        provenance: c.provenance || 'rule',
+        ...(typeof c.ocrConfidence === 'number' ? { ocr_confidence: c.ocrConfidence } : {})
+    };
+}
+
+applyCatalogMatch(component) {
+    const best = this.matcher.bestMatch(component);
+    if (!best) return component;
+    return {
+        ...component,
+        matched_product_id: best.productId,
+        match_confidence: best.confidence,
+        match_reason: this.matcher.describeMatch(best),
+        match_breakdown: best.signals
+    };
+}
+
 isHeaderRowRow(row) {
     const type = (row.type || '').toString().trim().toLowerCase();
     const subtype = (row.subtype || '').toString().trim().toLowerCase();
@@ -177,6 +278,7 @@ prepareForAI(normalizedRow) {
         rawText: `${rawType} ${rawSub}`.trim(),
         manufacturer: determin.manufacturer || montor || '',
         montert_dato: normalizedRow.montert_dato || '',
+        ocrConfidence: normalizedRow.raw ? normalizedRow.raw.ocrConfidence : undefined,
         tracking: determin.tracking,
         partNumber: determin.partNumber,
         componentType: determin.componentType,
@@ -191,20 +293,8 @@ prepareForAI(normalizedRow) {
 
 extractDeterministicFields(type, subtype, idRaw, manufacturerRaw) {
     const full = `${type || ''} ${subtype || ''}`.toLowerCase();
-    const diameter = full.match(/(\d+)\s*mm/i)?.[1] ?? null;
-    const length = full.match(/(\d+[.,]?\d*)\s*m(?!m)/i)?.[1]?.replace(',', '.') ?? null;
-    const weightKg = full.match(/(\d+[.,]?\d*)\s*kg/i)?.[1]?.replace(',', '.') ?? null;
-    const capacityT = full.match(/(\d+[.,]?\d*)\s*t(?!a)/i)?.[1]?.replace(',', '.') ?? null;
-    let componentType = 'unknown';
-    if (full.includes('kjetting')) componentType = 'chain';
-    if (full.includes('kjede')) componentType = 'chain';
-    if (full.includes('sjakkel') || full.includes('sjakel')) componentType = 'shackle';
-    if (full.includes('anker') || full.includes('ploganker')) componentType = 'anchor';
-    if (full.includes('tau') || full.includes('trosse') || full.includes('rope')) componentType = 'rope';
-    if (full.includes('bøye') || full.includes('buoy')) componentType = 'buoy';
-    if (full.includes('swivel') || full.includes('svirvel')) componentType = 'swivel';
-    if (full.includes('plate')) componentType = 'grid plate';
-    if (full.includes('lodd') || full.includes('søkk') || full.includes('søkke')) componentType = 'sinker';
+    const specs = specValues(full);
+    const componentType = classifyComponentType(full);
     const id = idRaw ? idRaw.toString().trim() : '';
     const isTracking = /[A-Z]{2,}-?[A-Z0-9]+/.test(id);
     const isPartNumber = /^\d{4,}$/.test(id) || /^\d{4,}-\d+$/.test(id);
@@ -212,44 +302,94 @@ extractDeterministicFields(type, subtype, idRaw, manufacturerRaw) {
     let partNumber = null;
     if (isTracking) tracking = id;
     else if (isPartNumber) partNumber = id;
-    let manufacturer = (manufacturerRaw || '').toString().trim();
-    const known = this.knownManufacturers.map(s => s.toLowerCase());
-    if (known.includes(manufacturer.toLowerCase())) manufacturer = manufacturer.toUpperCase();
+    const manufacturer = (manufacturerRaw || '').toString().trim();
     return {
         componentType,
-        diameter_mm: diameter ? Number(diameter) : null,
-        length_m: length ? Number(length) : null,
-        weight_kg: weightKg ? Number(weightKg) : null,
-        capacity_t: capacityT ? Number(capacityT) : null,
+        diameter_mm: specs.diameter_mm,
+        length_m: specs.length_m,
+        weight_kg: specs.weight_kg,
+        capacity_t: specs.capacity_t,
         tracking,
         partNumber,
         manufacturer
     };
 }
 
+needsAiInterpretation(c) {
+    const ambiguousType = !c.componentType || c.componentType === 'unknown';
+    const ambiguousManufacturer = !c.manufacturer || c.manufacturer.length === 0;
+    const ambiguousId = c.tracking === null && c.partNumber === null && (c.rawType || c.rawSub || '').length > 0;
+    const missingSpecs = c.specs.diameter_mm === null && c.specs.length_m === null && c.specs.weight_kg === null && c.specs.capacity_t === null;
+    return ambiguousType || ambiguousManufacturer || ambiguousId || missingSpecs;
+}
+
+estimateInterpretTokens(components) {
+    const promptTokens = components.reduce((sum, c) => sum + INTERPRET_PROMPT_TOKENS + estimateTokens(`${c.rawText}${c.manufacturer || ''}`), 0);
+    return [promptTokens, components.length * INTERPRET_COMPLETION_TOKENS];
+}
+
+estimateTables(tables) {
+    const estimate = { positions: 0, chunks: 0, calls: 0, promptTokens: 0, completionTokens: 0 };
+    for (const table of tables) {
+        if (!table.rows || table.rows.length === 0) continue;
+        const ambiguousByPosition = {};
+        for (const row of table.rows.map(r => this.normalizeRow(r))) {
+            const position = (row.posisjon || '').toString().trim();
+            if (!position || this.isHeaderRowRow(row)) continue;
+            if (!ambiguousByPosition[position]) ambiguousByPosition[position] = [];
+            const prepared = this.prepareForAI(row);
+            const cached = this.responseCache.has('interpret', { promptVersion: PROMPT_VERSION, content: this.interpretCacheKey(prepared) });
+            if (this.needsAiInterpretation(prepared) && !cached) ambiguousByPosition[position].push(prepared);
+        }
+        estimate.positions += Object.keys(ambiguousByPosition).length;
+        if (!this.useAI) continue;
+        // AI interpretation runs per position, in chunks of aiConcurrency rows
+        for (const ambiguous of Object.values(ambiguousByPosition)) {
+            if (ambiguous.length === 0) continue;
+            const [promptTokens, completionTokens] = this.estimateInterpretTokens(ambiguous);
+            estimate.chunks += Math.ceil(ambiguous.length / this.aiConcurrency);
+            estimate.calls += ambiguous.length;
+            estimate.promptTokens += promptTokens;
+            estimate.completionTokens += completionTokens;
+        }
+    }
+    return estimate;
+}
+
 async resolveComponentsWithAI(preparedComponents) {
     const needsAi = [];
     const out = preparedComponents.map(c => Object.assign({}, c));
     for (let i = 0; i < out.length; i++) {
-        const c = out[i];
-        const ambiguousType = !c.componentType || c.componentType === 'unknown';
-        const ambiguousManufacturer = !c.manufacturer || c.manufacturer.length === 0;
-        const ambiguousId = c.tracking === null && c.partNumber === null && (c.rawType || c.rawSub || '').length > 0;
-        const missingSpecs = c.specs.diameter_mm === null && c.specs.length_m === null && c.specs.weight_kg === null && c.specs.capacity_t === null;
-        if (ambiguousType || ambiguousManufacturer || ambiguousId || missingSpecs) {
-            needsAi.push({ index: i, payload: c });
+        if (this.needsAiInterpretation(out[i])) {
+            needsAi.push({ index: i, payload: out[i] });
         }
     }
     if (needsAi.length === 0) {
         return out.map(o => Object.assign({ confidence: 1.0 }, o));
     }
+    if (!this.useAI) {
+        const ambiguous = new Set(needsAi.map(item => item.index));
+        return out.map((o, idx) => Object.assign({ confidence: ambiguous.has(idx) ? 0.5 : 1.0 }, o));
+    }
     const chunks = [];
     for (let i = 0; i < needsAi.length; i += this.aiConcurrency) {
         chunks.push(needsAi.slice(i, i + this.aiConcurrency));
     }
     for (const chunk of chunks) {
-        const promises = chunk.map(item => this.aiInterpretComponent(item.payload));
-        const results = await Promise.all(promises);
+        const { costNok } = this.usageTracker
+            ? this.usageTracker.estimateCost(this.model, ...this.estimateInterpretTokens(chunk.map(item => item.payload)))
+            : { costNok: 0 };
+        if (this.usageTracker && !this.usageTracker.reserve(costNok)) {
+            logger.warn(`💸 Run budget reached, skipping AI interpretation for ${chunk.length} rows`);
+            chunk.forEach(item => { out[item.index].confidence = 0.5; });
+            continue;
+        }
+        let results;
+        try {
+            results = await Promise.all(chunk.map(item => this.aiInterpretComponent(item.payload)));
+        } finally {
+            if (this.usageTracker) this.usageTracker.release(costNok);
+        }
         for (let j = 0; j < chunk.length; j++) {
             const idx = chunk[j].index;
             const res = results[j];
@@ -266,6 +406,7 @@ async resolveComponentsWithAI(preparedComponents) {
                     capacity_t: res.specs?.capacity_t ?? out[idx].specs.capacity_t
                 });
                 out[idx].confidence = res.confidence ?? 0.9;
+                out[idx].provenance = res.fromModel ? 'model' : 'rule';
             } else {
                 out[idx].confidence = 0.5;
             }
@@ -275,8 +416,14 @@ async resolveComponentsWithAI(preparedComponents) {
 }
 
 async aiInterpretComponent(component) {
-    const key = `${component.rawText}|${component.manufacturer || ''}|${component.tracking || ''}|${component.partNumber || ''}`;
+    const key = this.interpretCacheKey(component);
     if (this.aiCache.has(key)) return this.aiCache.get(key);
+    const cacheParts = { promptVersion: PROMPT_VERSION, content: key };
+    const cached = this.responseCache.get('interpret', cacheParts);
+    if (cached) {
+        this.aiCache.set(key, cached);
+        return cached;
+    }
     try {
         this.aiCallCount++;
         const prompt = `Interpret the following aquaculture component description and return ONLY JSON matching this shape:
@@ -287,16 +434,16 @@ Description: "${component.rawText}"
 ManufacturerField: "${component.manufacturer || ''}"
 ExistingPart: "${component.partNumber || ''}"
 ExistingTracking: "${component.tracking || ''}"`;
-const response = await this.client.chat.completions.create({
-model: this.model,
+const response = await this.scheduler.complete(this.llm, {
 messages: [
 { role: 'system', content: 'You are a precise extractor for aquaculture component labels. Return valid JSON only.' },
 { role: 'user', content: prompt }
 ],
 temperature: 0,
-max_tokens: 250
-});
-const text = response.choices?.[0]?.message?.content || '';
+maxTokens: 250
+}, this.requestLabel('interpret'));
+this.recordUsage(response, { purpose: 'interpret' });
+const text = response.content;
 let parsed = null;
 try {
 parsed = JSON.parse(text);
@@ -338,9 +485,11 @@ length_m: parsed.specs?.length_m ?? component.specs.length_m,
 diameter_mm: parsed.specs?.diameter_mm ?? component.specs.diameter_mm,
 capacity_t: parsed.specs?.capacity_t ?? component.specs.capacity_t
 },
-confidence: parsed.confidence ?? 0.9
+confidence: parsed.confidence ?? 0.9,
+fromModel: true
 };
 this.aiCache.set(key, out);
+this.responseCache.set('interpret', cacheParts, out);
 return out;
 } catch (error) {
 logger.warn('AI interpret failed', { error: error.message, input: component.rawText });
@@ -366,20 +515,24 @@ return fallback;
 async classifyWithAI(text) {
     const cacheKey = `type_${text}`;
     if (this.aiCache.has(cacheKey)) return this.aiCache.get(cacheKey);
+    const cacheParts = { promptVersion: PROMPT_VERSION, content: text };
+    const cached = this.responseCache.get('classify_type', cacheParts);
+    if (cached) return cached;
     try {
         this.aiCallCount++;
-        const response = await this.client.chat.completions.create({
-            model: this.model,
+        const response = await this.scheduler.complete(this.llm, {
             messages: [{
                 role: 'user',
                 content: `Classify Norwegian aquaculture component: "${text}" Answer with one of: anker, sjakkel, kjetting, tau, kause, masterlink, tbolt, koblingsskive, bøye, swivel, wire, ukjent`
             }],
-            max_tokens: 10,
+            maxTokens: 10,
             temperature: 0
-        });
-        const resultType = (response.choices?.[0]?.message?.content || '').toLowerCase().trim();
+        }, this.requestLabel('classify type'));
+        this.recordUsage(response, { purpose: 'classify_type' });
+        const resultType = response.content.toLowerCase().trim();
         const res = { type: resultType || 'ukjent', confidence: 0.9 };
         this.aiCache.set(cacheKey, res);
+        this.responseCache.set('classify_type', cacheParts, res);
         return res;
     } catch (error) {
         logger.warn('AI classification failed', { text, error: error.message });
@@ -405,23 +558,27 @@ async classifyIdentifiers(idString, description) {
 async classifyIdWithAI(id, description) {
     const cacheKey = `id_${id}`;
     if (this.aiCache.has(cacheKey)) return this.aiCache.get(cacheKey);
+    const cacheParts = { promptVersion: PROMPT_VERSION, content: id };
+    const cached = this.responseCache.get('classify_id', cacheParts);
+    if (cached) return cached;
     try {
         this.aiCallCount++;
-        const response = await this.client.chat.completions.create({
-            model: this.model,
+        const response = await this.scheduler.complete(this.llm, {
             messages: [{
                 role: 'user',
                 content: `Classify identifier: "${id}" (context: ${description}) Is this a: part_number, tracking, or neither. Answer with one word: part_number, tracking, or neither`
             }],
-            max_tokens: 10,
+            maxTokens: 10,
             temperature: 0
-        });
-        const classification = (response.choices?.[0]?.message?.content || '').toLowerCase().trim();
+        }, this.requestLabel('classify id'));
+        this.recordUsage(response, { purpose: 'classify_id' });
+        const classification = response.content.toLowerCase().trim();
         let result;
         if (classification.includes('part')) result = { partNumber: id, tracking: null };
         else if (classification.includes('tracking')) result = { partNumber: null, tracking: id };
         else result = { partNumber: null, tracking: id };
         this.aiCache.set(cacheKey, result);
+        this.responseCache.set('classify_id', cacheParts, result);
         return result;
     } catch (error) {
         logger.warn('AI ID classification failed', { id, error: error.message });
@@ -430,40 +587,26 @@ async classifyIdWithAI(id, description) {
 }
 
 extractSpecifications(description) {
-    if (!description) return { vekt_kg: null, lengde_m: null, diameter_mm: null, kapasitet_t: null };
-    const text = description.toLowerCase();
-    const num = s => parseFloat(s.replace(',', '.'));
-    const weightMatch = text.match(/(\d+[.,]?\d*)\s*kg/);
-    const lengthMatch = text.match(/(\d+[.,]?\d*)\s*m(?!m)/);
-    const diameterMatch = text.match(/(\d+)\s*mm/);
-    const capacityMatch = text.match(/(\d+[.,]?\d*)\s*t/);
+    const specs = specValues(description);
     return {
-        vekt_kg: weightMatch ? num(weightMatch[1]) : null,
-        lengde_m: lengthMatch ? num(lengthMatch[1]) : null,
-        diameter_mm: diameterMatch ? Number(diameterMatch[1]) : null,
-        kapasitet_t: capacityMatch ? num(capacityMatch[1]) : null
+        vekt_kg: specs.weight_kg,
+        lengde_m: specs.length_m,
+        diameter_mm: specs.diameter_mm,
+        kapasitet_t: specs.capacity_t
     };
 }
 
 classifyPositionType(position) {
-    if (/^H\d/i.test(position)) return 'fortøyningslinje';
-    if (/^K\d/i.test(position)) return 'koblingspunkt';
-    if (/^S\d/i.test(position)) return 'sideline';
-    if (/^R\d/i.test(position)) return 'ramme';
-    if (/^A\d/i.test(position)) return 'ankerpunkt';
-    if (/^B\d/i.test(position)) return 'bøye';
-    if (/bur/i.test(position)) return 'bur';
-    return 'ukjent';
+    return classifyPositionType(position);
 }
 
 async testConnection() {
     try {
-        const response = await this.client.chat.completions.create({
-            model: this.model,
+        const response = await this.llm.complete({
             messages: [{ role: 'user', content: 'Test. Respond with OK.' }],
-            max_tokens: 10
+            maxTokens: 10
         });
-        return { success: true, model: this.model, response: response.choices[0].message.content };
+        return { success: true, model: response.model, response: response.content };
     } catch (error) {
         return { success: false, error: error.message };
     }
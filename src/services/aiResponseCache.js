@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+function hash(value) {
+    return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+// Cell text varies in case and spacing between revisions of the same workbook
+function normalizeContent(text) {
+    return (text || '').toString().toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function catalogVersion(catalog) {
+    const products = (catalog || [])
+        .map(p => [p.id, p.description, p.supplier, p.mblKg])
+        .sort((a, b) => String(a[0]).localeCompare(String(b[0])));
+    return hash(products).slice(0, 16);
+}
+
+class AiResponseCache {
+    constructor(options = {}) {
+        // file: null keeps the cache in memory only
+        this.file = options.file !== undefined
+            ? options.file
+            : process.env.AI_CACHE_FILE || path.join(process.cwd(), 'data', 'ai-cache.json');
+        this.entries = null;
+        this.meta = {};
+        this.dirty = false;
+        this.hits = 0;
+        this.misses = 0;
+    }
+
+    load() {
+        if (this.entries) return this.entries;
+
+        this.entries = {};
+        if (!this.file || !fs.existsSync(this.file)) return this.entries;
+
+        try {
+            const stored = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            this.entries = stored.entries || {};
+            this.meta = stored.meta || {};
+            logger.info(`🗄️ Loaded ${Object.keys(this.entries).length} cached AI responses`);
+        } catch (error) {
+            logger.error('Failed to read AI cache, starting empty', { file: this.file, error: error.message });
+        }
+
+        return this.entries;
+    }
+
+    key(namespace, { promptVersion, catalogVersion = null, content }) {
+        return `${namespace}:${hash([promptVersion, catalogVersion, normalizeContent(content)])}`;
+    }
+
+    has(namespace, parts) {
+        return !!this.load()[this.key(namespace, parts)];
+    }
+
+    get(namespace, parts) {
+        const entry = this.load()[this.key(namespace, parts)];
+
+        if (!entry) {
+            this.misses++;
+            return undefined;
+        }
+
+        this.hits++;
+        entry.lastUsedAt = new Date().toISOString();
+        this.dirty = true;
+        return entry.value;
+    }
+
+    set(namespace, parts, value) {
+        const now = new Date().toISOString();
+        this.load()[this.key(namespace, parts)] = {
+            namespace,
+            catalogVersion: parts.catalogVersion || null,
+            value,
+            createdAt: now,
+            lastUsedAt: now
+        };
+        this.dirty = true;
+    }
+
+    // Drops entries built against another product catalog; entries that don't depend on the catalog are kept
+    invalidateCatalog(version) {
+        const entries = this.load();
+        if (this.meta.catalogVersion === version) return 0;
+
+        let removed = 0;
+        for (const [key, entry] of Object.entries(entries)) {
+            if (entry.catalogVersion) {
+                delete entries[key];
+                removed++;
+            }
+        }
+
+        if (this.meta.catalogVersion && removed > 0) {
+            logger.info(`🗄️ Product catalog changed, removed ${removed} cached AI responses`);
+        }
+        this.meta.catalogVersion = version;
+        this.dirty = true;
+        return removed;
+    }
+
+    clear() {
+        const removed = Object.keys(this.load()).length;
+        this.entries = {};
+        this.dirty = true;
+        this.save();
+        logger.info(`🗄️ Cleared ${removed} cached AI responses`);
+        return removed;
+    }
+
+    save() {
+        if (!this.file || !this.dirty) return;
+
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.writeFileSync(this.file, JSON.stringify({ meta: this.meta, entries: this.load() }));
+            this.dirty = false;
+        } catch (error) {
+            logger.error('Failed to store AI cache', { file: this.file, error: error.message });
+        }
+    }
+
+    stats() {
+        const lookups = this.hits + this.misses;
+        return {
+            hits: this.hits,
+            misses: this.misses,
+            hitRate: lookups > 0 ? Math.round((this.hits / lookups) * 1000) / 10 : 0,
+            entries: Object.keys(this.load()).length
+        };
+    }
+}
+
+module.exports = {
+    AiResponseCache,
+    catalogVersion,
+    normalizeContent
+};
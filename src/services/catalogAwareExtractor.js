@@ -1,45 +1,127 @@
-const OpenAI = require('openai');
-const XLSX = require('xlsx');
-require('dotenv').config();
+const CatalogMatcher = require('./catalogMatcher');
+const CatalogIndex = require('./catalogIndex');
+const RuleMatcher = require('./ruleMatcher');
+const { specValues } = require('./specParser');
+const { KNOWN_COMPONENT_TYPES, classifyComponentType } = require('./componentTypes');
+const { parseJsonResponse, validateBatchResponse } = require('./responseSchema');
+const { estimateTokens } = require('./usageTracker');
+const { AiResponseCache, catalogVersion } = require('./aiResponseCache');
+const RequestScheduler = require('./requestScheduler');
+const { normalizeSequence, compareSequences } = require('./sequenceIntegrity');
+const { findPositionColumn } = require('./positionColumn');
+const HybridExtractor = require('./DeterministicExtractor');
+const { createLlmProvider } = require('./llmProvider');
 const logger = require('../utils/logger');
 
+const MAX_REPAIR_ATTEMPTS = 2;
+// Bump when the batch prompt changes so cached extractions from the old prompt are not reused
+const PROMPT_VERSION = 2;
+const POSITIONS_PER_CHUNK = 15;
+const CANDIDATES_PER_ROW = 8;
+const MAX_CATALOG_IN_PROMPT = 200;
+const COMPLETION_TOKENS_PER_COMPONENT = 150;
+
 class CatalogAwareExtractor {
-    constructor(productCatalog = []) {
-        this.client = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY,
-            dangerouslyAllowBrowser: true
-        });
-        this.model = 'gpt-4o-mini';
+    constructor(productCatalog = [], options = {}) {
+        this.llm = options.llm || createLlmProvider();
+        this.model = this.llm.model;
+        this.scheduler = options.scheduler || new RequestScheduler();
         this.productCatalog = productCatalog;
+        this.catalogVersion = catalogVersion(productCatalog);
+        this.supplierRegistry = null;
+        this.matcher = new CatalogMatcher(productCatalog);
+        this.catalogIndex = new CatalogIndex(productCatalog);
+        this.ruleMatcher = new RuleMatcher(productCatalog, this.matcher);
+        this.candidatesPerRow = options.candidatesPerRow || CANDIDATES_PER_ROW;
+        this.responseCache = options.aiCache || new AiResponseCache({ file: null });
         this.aiCallCount = 0;
+        this.maxRepairAttempts = options.maxRepairAttempts ?? MAX_REPAIR_ATTEMPTS;
+        this.usageTracker = null;
+        this.usageContext = {};
+        this.fallbackExtractor = null;
+    }
+
+    setUsageTracker(tracker) {
+        this.usageTracker = tracker;
+    }
+
+    setAiCache(cache) {
+        this.responseCache = cache;
+    }
+
+    setScheduler(scheduler) {
+        this.scheduler = scheduler;
+    }
+
+    requestLabel(context = {}) {
+        const { file, sheet, chunk } = { ...this.usageContext, ...context };
+        return [file, sheet, chunk ? `chunk ${chunk}` : null].filter(Boolean).join(' / ') || 'AI request';
+    }
+
+    // One entry per row, so a position with one edited row only sends that row to the model again
+    cacheParts(row) {
+        return { promptVersion: PROMPT_VERSION, catalogVersion: this.catalogVersion, content: Object.values(row).join(' | ') };
+    }
+
+    splitCachedRows(pending) {
+        const cached = {};
+        const missing = {};
+
+        for (const [positionRef, rows] of Object.entries(pending)) {
+            for (const row of rows) {
+                const component = this.responseCache.get('extract_row', this.cacheParts(row));
+                const target = component ? cached : missing;
+                if (!target[positionRef]) target[positionRef] = { rows: [], components: [] };
+                target[positionRef].rows.push(row);
+                if (component) target[positionRef].components.push(component);
+            }
+        }
+
+        return {
+            cached,
+            missing: Object.fromEntries(Object.entries(missing).map(([ref, { rows }]) => [ref, rows]))
+        };
+    }
+
+    // Model components can only be tied to their rows when the model returned one component per row
+    cacheRowComponents(rows, components) {
+        if (components.length !== rows.length) return;
+        rows.forEach((row, idx) => this.responseCache.set('extract_row', this.cacheParts(row), components[idx]));
+    }
+
+    recordUsage(response, context = {}) {
+        if (!this.usageTracker) return;
+        this.usageTracker.record({ model: response.model, usage: response.usage, ...this.usageContext, ...context });
+    }
+
+    setSupplierRegistry(registry) {
+        this.supplierRegistry = registry;
+        this.matcher = new CatalogMatcher(this.productCatalog, { supplierRegistry: registry });
+        this.ruleMatcher = new RuleMatcher(this.productCatalog, this.matcher);
     }
 
     setProductCatalog(catalog) {
         this.productCatalog = catalog;
+        this.catalogVersion = catalogVersion(catalog);
+        this.matcher = new CatalogMatcher(catalog, { supplierRegistry: this.supplierRegistry });
+        this.catalogIndex = new CatalogIndex(catalog);
+        this.ruleMatcher = new RuleMatcher(catalog, this.matcher);
         logger.info(`Product catalog loaded: ${catalog.length} products`);
     }
 
-    async extractFromExcel(filePath, fileName, positionMappings = []) {
+    async extractFromTables(tables, fileName, positionMappings = [], documentInfo = {}) {
         try {
             logger.info('🚀 Starting CATALOG-AWARE extraction', { fileName });
             this.aiCallCount = 0;
-
-            const workbook = XLSX.readFile(filePath);
+            this.usageContext = { file: fileName };
             const allPositionGroups = [];
 
-            for (const sheetName of workbook.SheetNames) {
-                if (this.shouldSkipSheet(sheetName)) {
-                    logger.info(`⏭️ Skipping sheet: ${sheetName}`);
-                    continue;
-                }
-
-                logger.info(`📊 Processing sheet: ${sheetName}`);
-                const worksheet = workbook.Sheets[sheetName];
-                const rows = XLSX.utils.sheet_to_json(worksheet, { defval: '', raw: false });
-
-                if (!rows || rows.length === 0) continue;
+            for (const table of tables) {
+                if (!table.rows || table.rows.length === 0) continue;
 
-                const positionGroups = await this.extractPositionsWithCatalogMatching(rows, sheetName, positionMappings);
+                logger.info(`📊 Processing table: ${table.name}`);
+                this.usageContext.sheet = table.name;
+                const positionGroups = await this.extractPositionsWithCatalogMatching(table.rows, table.name, positionMappings);
                 allPositionGroups.push(...positionGroups);
             }
 
@@ -54,7 +136,9 @@ class CatalogAwareExtractor {
                 data: {
                     document_info: {
                         filename: fileName,
-                        type: 'excel',
+                        type: documentInfo.documentType,
+                        page_count: documentInfo.pageCount,
+                        ocr_page_count: documentInfo.ocrPageCount,
                         extraction_method: 'catalog_aware_ai',
                         ai_calls_made: this.aiCallCount,
                         catalog_size: this.productCatalog.length
@@ -72,59 +156,342 @@ class CatalogAwareExtractor {
         }
     }
 
-    async extractPositionsWithCatalogMatching(rows, sheetName, positionMappings) {
-        const grouped = this.groupRowsByPosition(rows);
-        const allPositionRefs = Object.keys(grouped);
-        
+    buildChunks(grouped, positionRefsToSend = Object.keys(grouped)) {
+        const allPositionRefs = positionRefsToSend;
         const chunks = [];
-        for (let i = 0; i < allPositionRefs.length; i += 15) {
-            chunks.push(allPositionRefs.slice(i, i + 15));
-        }
-        
-        logger.info(`🚀 Processing ${allPositionRefs.length} positions in ${chunks.length} chunks from sheet: ${sheetName}`);
-        
-        const allPositionGroups = [];
-        
-        const chunkPromises = chunks.map(async (chunk) => {
-            const chunkPositionsText = chunk.map(positionRef => {
+
+        for (let i = 0; i < allPositionRefs.length; i += POSITIONS_PER_CHUNK) {
+            const positionRefs = allPositionRefs.slice(i, i + POSITIONS_PER_CHUNK);
+            const positionsText = positionRefs.map(positionRef => {
                 const componentRows = grouped[positionRef];
                 const componentsText = this.formatComponentsForAI(componentRows);
                 return `POSITION: ${positionRef}\n${componentsText}\n`;
             }).join('\n---\n\n');
+
+            chunks.push({
+                positionRefs,
+                positionsText,
+                catalogSubset: this.selectCatalogCandidates(positionRefs, grouped),
+                rowCount: positionRefs.reduce((sum, ref) => sum + grouped[ref].length, 0)
+            });
+        }
+
+        return chunks;
+    }
+
+    estimateChunk(chunk) {
+        const { messages } = this.buildBatchMessages(chunk.positionsText, chunk.catalogSubset);
+        return {
+            promptTokens: messages.reduce((sum, m) => sum + estimateTokens(m.content), 0),
+            completionTokens: chunk.rowCount * COMPLETION_TOKENS_PER_COMPONENT
+        };
+    }
+
+    estimateTables(tables) {
+        const estimate = { positions: 0, chunks: 0, calls: 0, promptTokens: 0, completionTokens: 0 };
+
+        for (const table of tables) {
+            if (!table.rows || table.rows.length === 0) continue;
+
+            const grouped = this.groupRowsByPosition(table.rows);
+            const { pending } = this.resolveRowsByRules(grouped);
+            const missing = {};
+            for (const [positionRef, rows] of Object.entries(pending)) {
+                const uncachedRows = rows.filter(row => !this.responseCache.has('extract_row', this.cacheParts(row)));
+                if (uncachedRows.length > 0) missing[positionRef] = uncachedRows;
+            }
+            const chunks = this.buildChunks(missing);
+            estimate.positions += Object.keys(grouped).length;
+            estimate.chunks += chunks.length;
+            estimate.calls += chunks.length;
+
+            for (const chunk of chunks) {
+                const { promptTokens, completionTokens } = this.estimateChunk(chunk);
+                estimate.promptTokens += promptTokens;
+                estimate.completionTokens += completionTokens;
+            }
+        }
+
+        return estimate;
+    }
+
+    getDeterministicExtractor() {
+        if (!this.fallbackExtractor) {
+            this.fallbackExtractor = new HybridExtractor({ useAI: false });
+            this.fallbackExtractor.setProductCatalog(this.productCatalog);
+        }
+        if (this.fallbackExtractor.productCatalog !== this.productCatalog) {
+            this.fallbackExtractor.setProductCatalog(this.productCatalog);
+        }
+        this.fallbackExtractor.setSupplierRegistry(this.supplierRegistry);
+        return this.fallbackExtractor;
+    }
+
+    // First pass: rows that match exactly one product by internal number, description or specs never reach the model
+    resolveRowsByRules(grouped) {
+        const deterministic = this.getDeterministicExtractor();
+        const resolved = {};
+        const pending = {};
+        let resolvedCount = 0;
+        let totalCount = 0;
+
+        for (const [positionRef, rows] of Object.entries(grouped)) {
+            rows.forEach((row, idx) => {
+                totalCount++;
+                const component = deterministic.toComponent(deterministic.prepareForAI(deterministic.normalizeRow(row)));
+                const cells = Object.values(row).filter(value => value !== null && value !== undefined && value.toString().trim() !== positionRef);
+                const match = this.ruleMatcher.resolve(component, cells);
+
+                if (!match) {
+                    if (!pending[positionRef]) pending[positionRef] = [];
+                    pending[positionRef].push(row);
+                    return;
+                }
+
+                resolvedCount++;
+                if (!resolved[positionRef]) resolved[positionRef] = [];
+                resolved[positionRef].push(this.ruleComponent(component, match, row, idx));
+            });
+        }
+
+        if (totalCount > 0) {
+            logger.info(`🧩 Resolved ${resolvedCount} of ${totalCount} rows by rules, ${totalCount - resolvedCount} left for the model`);
+        }
+        return { resolved, pending };
+    }
+
+    ruleComponent(component, match, row, rowIndex) {
+        const { product } = match;
+        return {
+            ...component,
+            sequence: component.sequence || rowIndex + 1,
+            type: component.type !== 'unknown' ? component.type : classifyComponentType(product.description),
+            description: component.description || product.description,
+            matched_product_id: product.id,
+            match_confidence: match.confidence,
+            match_reason: match.reason,
+            match_breakdown: match.breakdown,
+            unit: component.unit || product.unit || null,
+            mbl_kg: component.mbl_kg ?? product.mblKg ?? null,
+            provenance: 'rule',
+            ...(typeof row.ocrConfidence === 'number' ? { ocr_confidence: row.ocrConfidence } : {})
+        };
+    }
+
+    async extractPositionsWithCatalogMatching(rows, sheetName, positionMappings) {
+        const grouped = this.groupRowsByPosition(rows);
+        const { resolved, pending } = this.resolveRowsByRules(grouped);
+        const extractions = {};
+        const { cached, missing } = this.splitCachedRows(pending);
+        const cachedComponents = Object.fromEntries(Object.entries(cached)
+            .map(([ref, { rows, components }]) => [ref, this.modelComponents(components, rows)]));
+
+        const chunks = this.buildChunks(missing);
+        const cachedRowCount = Object.values(cached).reduce((sum, { rows }) => sum + rows.length, 0);
+        
+        logger.info(`🚀 Processing ${Object.keys(grouped).length} positions in ${chunks.length} chunks from sheet: ${sheetName} (${cachedRowCount} rows from cache)`);
+        
+        const chunkPromises = chunks.map(async (chunk, chunkIndex) => {
+            const { promptTokens, completionTokens } = this.estimateChunk(chunk);
+            const { costNok } = this.usageTracker
+                ? this.usageTracker.estimateCost(this.model, promptTokens, completionTokens)
+                : { costNok: 0 };
+
+            if (this.usageTracker && !this.usageTracker.reserve(costNok)) {
+                logger.warn(`💸 Run budget reached, using deterministic extraction for chunk ${chunkIndex + 1} of ${sheetName}`);
+                const fallbackRows = chunk.positionRefs.flatMap(ref => missing[ref]);
+                return { fallbackRefs: chunk.positionRefs, fallbackGroups: await this.extractDeterministically(fallbackRows, sheetName, positionMappings) };
+            }
             
-            const relevantCatalog = this.getRelevantCatalog(chunkPositionsText);
-            
-            const chunkExtractedData = await this.aiExtractBatchWithCatalog(
-                chunkPositionsText,
-                relevantCatalog,
-                chunk
-            );
-            
-            return { chunk, chunkExtractedData };
+            try {
+                const chunkExtractedData = await this.aiExtractBatchWithCatalog(
+                    chunk.positionsText,
+                    chunk.catalogSubset,
+                    chunk.positionRefs,
+                    { sheet: sheetName, chunk: chunkIndex + 1 }
+                );
+                
+                return { chunkExtractedData };
+            } finally {
+                if (this.usageTracker) this.usageTracker.release(costNok);
+            }
         });
 
         const allChunkResults = await Promise.all(chunkPromises);
 
-        for (const { chunk, chunkExtractedData } of allChunkResults) {
-            for (const [positionRef, extractedComponents] of Object.entries(chunkExtractedData)) {
-                const mapping = positionMappings.find(m => 
-                    m.documentReference.toLowerCase() === positionRef.toLowerCase()
-                );
-                
-                allPositionGroups.push({
-                    document_reference: positionRef,
-                    internal_position: mapping ? mapping.internalPosition : null,
-                    position_id: mapping ? mapping.positionId : null,
-                    mapping_found: !!mapping,
-                    sheet_source: sheetName,
-                    components: extractedComponents
+        for (const { chunkExtractedData = {}, fallbackRefs = [], fallbackGroups = [] } of allChunkResults) {
+            // Positions whose repair did not fit the budget get the same deterministic fallback as whole chunks
+            const repairFallbackRefs = Object.keys(chunkExtractedData)
+                .filter(ref => chunkExtractedData[ref].status === 'budget_fallback' && missing[ref]);
+            const budgetGroups = repairFallbackRefs.length > 0
+                ? [...fallbackGroups, ...await this.extractDeterministically(repairFallbackRefs.flatMap(ref => missing[ref]), sheetName, positionMappings)]
+                : fallbackGroups;
+
+            budgetGroups.forEach(group => {
+                extractions[group.document_reference] = { status: 'budget_fallback', components: group.components, errors: [] };
+            });
+
+            // The fallback drops rows it cannot read as components; a position left without any must not look extracted
+            [...fallbackRefs, ...repairFallbackRefs]
+                .filter(ref => !extractions[ref])
+                .forEach(ref => {
+                    extractions[ref] = {
+                        status: 'failed',
+                        components: [],
+                        errors: [`Run budget reached for ${ref}, and the deterministic fallback could not read any of its rows as components`]
+                    };
                 });
+
+            for (const [positionRef, extraction] of Object.entries(chunkExtractedData)) {
+                if (extraction.status === 'budget_fallback') continue;
+
+                // Only validated positions are cached; failed ones are sent to the model again next time
+                if (extraction.status === 'ok' && extraction.errors.length === 0 && missing[positionRef]) {
+                    this.cacheRowComponents(missing[positionRef], extraction.components);
+                }
+
+                extractions[positionRef] = { ...extraction, components: this.modelComponents(extraction.components, missing[positionRef] || []) };
             }
         }
         
+        const allPositionGroups = [];
+
+        const deterministic = this.getDeterministicExtractor();
+
+        for (const positionRef of Object.keys(grouped)) {
+            // Positions with every row resolved by rules or the cache need no extraction; any other gap is reported
+            const extraction = extractions[positionRef] || (missing[positionRef]
+                ? { status: 'failed', components: [], errors: [`No extraction was returned for the rows of ${positionRef}`] }
+                : { status: 'ok', components: [], errors: [] });
+            const mapping = positionMappings.find(m => 
+                m.documentReference.toLowerCase() === positionRef.toLowerCase()
+            );
+            
+            allPositionGroups.push({
+                document_reference: positionRef,
+                internal_position: mapping ? mapping.internalPosition : null,
+                position_id: mapping ? mapping.positionId : null,
+                mapping_found: !!mapping,
+                sheet_source: sheetName,
+                extraction_status: extraction.status,
+                extraction_errors: extraction.errors,
+                document_sequences: grouped[positionRef].map(row => deterministic.normalizeRow(row).rekkefolge),
+                components: this.mergeComponents(resolved[positionRef] || [], [...(cachedComponents[positionRef] || []), ...extraction.components])
+            });
+        }
+        
         return allPositionGroups;
     }
 
+    modelComponents(components, rows) {
+        return this.attachOcrConfidence(components, rows).map(comp => ({
+            ...comp,
+            sequence: normalizeSequence(comp.sequence) ?? comp.sequence,
+            provenance: 'model'
+        }));
+    }
+
+    // Rule and model components of one position in sequence order; the manufacturer is only written on the first row
+    mergeComponents(ruleComponents, otherComponents) {
+        let manufacturer = '';
+
+        return [...ruleComponents, ...otherComponents]
+            .sort((a, b) => compareSequences(a.sequence, b.sequence))
+            .map(comp => {
+                if (comp.manufacturer) manufacturer = comp.manufacturer;
+                const withManufacturer = comp.manufacturer ? comp : { ...comp, manufacturer };
+
+                if (comp.provenance === 'model') {
+                    return this.verifyCatalogMatch(this.withSupplier(this.withSpecifications(withManufacturer)));
+                }
+                return comp.provenance === 'rule' && !comp.supplier_id ? this.withSupplier(withManufacturer) : withManufacturer;
+            });
+    }
+
+    async extractDeterministically(rows, sheetName, positionMappings) {
+        const deterministic = this.getDeterministicExtractor();
+        const normalizedRows = rows.map(r => deterministic.normalizeRow(r));
+        const groups = await deterministic.groupAndProcessRows(normalizedRows, sheetName, positionMappings);
+        return groups.map(group => ({ ...group, extraction_status: 'budget_fallback' }));
+    }
+
+    withSupplier(component) {
+        const supplier = this.supplierRegistry && component.manufacturer
+            ? this.supplierRegistry.resolve(component.manufacturer)
+            : null;
+        return {
+            ...component,
+            manufacturer: supplier ? supplier.supplierName : component.manufacturer,
+            manufacturer_raw: component.manufacturer,
+            supplier_id: supplier ? supplier.supplierId : null
+        };
+    }
+
+    withSpecifications(component) {
+        const specs = specValues(component.description);
+        return {
+            ...component,
+            mbl_kg: component.mbl_kg ?? specs.mbl_kg,
+            specifications: {
+                weight_kg: specs.weight_kg,
+                length_m: specs.length_m,
+                diameter_mm: specs.diameter_mm,
+                capacity_t: specs.capacity_t
+            }
+        };
+    }
+
+    verifyCatalogMatch(component) {
+        if (component.matched_product_id === null || component.matched_product_id === undefined) {
+            return component;
+        }
+
+        const product = this.matcher.getProduct(component.matched_product_id);
+        if (!product) {
+            return {
+                ...component,
+                ai_suggested_product_id: component.matched_product_id,
+                matched_product_id: null,
+                match_confidence: null,
+                match_reason: `AI suggested product #${component.matched_product_id}, which is not in the catalog`
+            };
+        }
+
+        const evaluation = this.matcher.evaluate(component, product);
+        if (evaluation.vetoed) {
+            logger.warn(`Local matcher rejected AI match #${product.id} for "${component.description}"`, evaluation.vetoReasons);
+            return {
+                ...component,
+                ai_suggested_product_id: component.matched_product_id,
+                matched_product_id: null,
+                match_confidence: null,
+                match_reason: `Rejected by local matcher: ${evaluation.vetoReasons.join('; ')}`,
+                match_breakdown: evaluation.signals
+            };
+        }
+
+        return { ...component, match_breakdown: evaluation.signals };
+    }
+
+    attachOcrConfidence(components, rows) {
+        const confidences = rows.map(r => r.ocrConfidence).filter(c => typeof c === 'number');
+        if (confidences.length === 0) return components;
+
+        const weakest = Math.min(...confidences);
+        const sameShape = components.length === rows.length;
+
+        return components.map((comp, idx) => ({
+            ...comp,
+            ocr_confidence: sameShape && typeof rows[idx].ocrConfidence === 'number'
+                ? rows[idx].ocrConfidence
+                : weakest
+        }));
+    }
+
+    findPositionReferences(tables) {
+        return tables.flatMap(table => Object.keys(this.groupRowsByPosition(table.rows || [])));
+    }
+
     groupRowsByPosition(rows) {
         const grouped = {};
 
@@ -142,18 +509,10 @@ class CatalogAwareExtractor {
     extractPosition(row) {
         const keys = Object.keys(row);
         
-        const positionKeys = keys.filter(k => {
-            const kLower = k.toLowerCase();
-            return kLower.includes('navn') || 
-                   kLower.includes('nummer') ||
-                   kLower.includes('posisjon') ||
-                   kLower.includes('position') ||
-                   kLower.includes('line') ||
-                   kLower.includes('linje');
-        });
+        const positionKey = findPositionColumn(keys);
 
-        if (positionKeys.length > 0) {
-            const value = row[positionKeys[0]];
+        if (positionKey) {
+            const value = row[positionKey];
             if (!value) return null;
             
             const valueStr = value.toString().trim();
@@ -254,38 +613,40 @@ class CatalogAwareExtractor {
         }).join('\n');
     }
 
-    getRelevantCatalog(componentsText) {
-        const textLower = componentsText.toLowerCase();
-        const keywords = ['anker', 'anchor', 'sjakkel', 'shackle', 'kjetting', 'chain', 
-                         'tau', 'rope', 'bøye', 'buoy', 'swivel'];
+    // Top candidates per row, interleaved by rank so every row keeps its best matches when the prompt cap is hit
+    selectCatalogCandidates(positionRefs, grouped) {
+        const candidateLists = [];
 
-        const relevantProducts = this.productCatalog.filter(p => {
-            const descLower = p.description.toLowerCase();
-            return keywords.some(k => descLower.includes(k) || textLower.includes(k));
-        });
+        for (const positionRef of positionRefs) {
+            grouped[positionRef].forEach((row, idx) => {
+                const candidates = this.catalogIndex.search(Object.values(row).join(' '), { limit: this.candidatesPerRow });
+                candidateLists.push(candidates);
+                logger.debug(`🔍 Catalog candidates for ${positionRef} component ${idx + 1}`,
+                    candidates.map(c => `${c.product.id} ${c.product.description} (${c.score})`));
+            });
+        }
 
-        if (relevantProducts.length > 200) {
-            return relevantProducts.slice(0, 200);
+        const selected = new Map();
+        for (let rank = 0; rank < this.candidatesPerRow && selected.size < MAX_CATALOG_IN_PROMPT; rank++) {
+            for (const candidates of candidateLists) {
+                if (candidates[rank] && selected.size < MAX_CATALOG_IN_PROMPT) {
+                    selected.set(candidates[rank].product.id, candidates[rank].product);
+                }
+            }
         }
 
-        return relevantProducts.length > 0 ? relevantProducts : this.productCatalog.slice(0, 200);
+        return [...selected.values()];
     }
 
-    async aiExtractBatchWithCatalog(allPositionsText, catalogSubset, positionRefs) {
-        try {
-            this.aiCallCount++;
-            logger.info(`DEBUG: catalogSubset size BEFORE slice: ${catalogSubset.length} products`);
-            logger.info(`DEBUG: First 10 products:`, catalogSubset.slice(0, 10).map(p => p.description));
-            logger.info(`DEBUG: Searching for Sjakkel in subset:`, catalogSubset.filter(p => p.description.toLowerCase().includes('sjakkel')).map(p => p.description));
-            
-            const catalogFormatted = catalogSubset.slice(0, 200).map(p => ({
-                id: p.id,
-                description: p.description,
-                supplier: p.supplier,
-                mbl: p.mbl
-            }));
-            
-            const prompt = `Extract aquaculture components from MULTIPLE positions.
+    buildBatchMessages(allPositionsText, catalogSubset) {
+        const catalogFormatted = catalogSubset.slice(0, MAX_CATALOG_IN_PROMPT).map(p => ({
+            id: p.id,
+            description: p.description,
+            supplier: p.supplier,
+            mbl_kg: p.mblKg
+        }));
+        
+        const prompt = `Extract aquaculture components from MULTIPLE positions.
 
 **POSITIONS DATA:**
 ${allPositionsText}
@@ -293,6 +654,8 @@ ${allPositionsText}
 **PRODUCT CATALOG (${catalogFormatted.length} products):**
 ${JSON.stringify(catalogFormatted, null, 2)}
 
+**COMPONENT TYPES:** "type" must be one of: ${KNOWN_COMPONENT_TYPES.join(', ')}
+
 **POSITION TYPE RULES - CRITICAL:**
 These rules are MANDATORY and override everything else:
 1. **Rammelinje (R-prefix, 701-799)**: NEVER contains anchors or bolts. Typical components: ropes, shackles, chains, swivels
@@ -314,6 +677,7 @@ If you see an "anker" or "anchor" in a position that CANNOT have anchors (R, K,
    - If quantity column is empty or missing, default to 1
    - DO NOT use the sequence number as quantity
    - sequence is just the order (1,2,3), quantity is the amount
+   - Copy the sequence exactly as written; sub-sequences like 3.1 and 3.2 are returned as strings ("3.1"), never renumbered
 5. Return data grouped by position reference
 6. **CHECK POSITION TYPE** before determining component type
 
@@ -378,50 +742,139 @@ If you see an "anker" or "anchor" in a position that CANNOT have anchors (R, K,
 
 Return ONLY valid JSON with position references as keys.`;
 
-            const response = await this.client.chat.completions.create({
-                model: this.model,
-                messages: [
-                    { 
-                        role: 'system', 
-                        content: 'You are a precise extractor for aquaculture components. Return only valid JSON grouped by position reference.' 
-                    },
-                    { role: 'user', content: prompt }
-                ],
-                temperature: 0.1,
-                max_tokens: 16000
-            });
+        const messages = [
+            { 
+                role: 'system', 
+                content: 'You are a precise extractor for aquaculture components. Return only valid JSON grouped by position reference.' 
+            },
+            { role: 'user', content: prompt }
+        ];
 
-            const responseText = response.choices[0].message.content.trim();
-            
-            let parsed;
-            try {
-                const cleanedText = responseText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-                parsed = JSON.parse(cleanedText);
-            } catch (e) {
-                logger.error('JSON parse failed for batch', { response: responseText.substring(0, 500) });
-                const emptyResults = {};
-                positionRefs.forEach(ref => emptyResults[ref] = []);
-                return emptyResults;
-            }
+        return { messages, catalogFormatted };
+    }
+
+    async aiExtractBatchWithCatalog(allPositionsText, catalogSubset, positionRefs, usageContext = {}) {
+        try {
+            this.aiCallCount++;
+            logger.info(`📦 Sending ${catalogSubset.length} catalog candidates for ${positionRefs.length} positions`);
             
-            const results = {};
-            for (const positionRef of positionRefs) {
-                const positionData = parsed[positionRef] || parsed[positionRef.toUpperCase()] || parsed[positionRef.toLowerCase()];
-                results[positionRef] = positionData?.components || [];
-            }
+            const { messages, catalogFormatted } = this.buildBatchMessages(allPositionsText, catalogSubset);
+
+            const response = await this.scheduler.complete(this.llm, {
+                messages,
+                temperature: 0.1,
+                maxTokens: 16000
+            }, this.requestLabel(usageContext));
+            this.recordUsage(response, { ...usageContext, purpose: 'extract' });
+
+            const allowedProductIds = new Set(catalogFormatted.map(p => p.id));
+            const results = await this.validateWithRepair(messages, response.content, positionRefs, allowedProductIds, usageContext);
             
-            logger.info(`✅ Batch extracted components for ${Object.keys(results).length} positions`);
+            const failed = Object.values(results).filter(r => r.status === 'failed').length;
+            logger.info(`✅ Batch extracted components for ${positionRefs.length - failed} positions${failed > 0 ? `, ${failed} failed` : ''}`);
             
             return results;
             
         } catch (error) {
             logger.error('❌ Batch AI extraction failed', error);
-            const emptyResults = {};
-            positionRefs.forEach(ref => emptyResults[ref] = []);
-            return emptyResults;
+            return this.failedResults(positionRefs, [error.message]);
         }
     }
 
+    async validateWithRepair(messages, responseText, positionRefs, allowedProductIds, usageContext = {}) {
+        const results = {};
+        let conversation = messages;
+        let text = responseText;
+        let pending = positionRefs;
+
+        for (let attempt = 0; ; attempt++) {
+            const { parsed, error } = parseJsonResponse(text);
+            const validated = error
+                ? Object.fromEntries(pending.map(ref => [ref, { components: [], errors: [error] }]))
+                : validateBatchResponse(parsed, pending, allowedProductIds);
+
+            const invalid = [];
+            for (const ref of pending) {
+                if (validated[ref].errors.length === 0) {
+                    results[ref] = { status: 'ok', components: validated[ref].components, errors: [] };
+                } else {
+                    invalid.push(ref);
+                }
+            }
+
+            if (invalid.length === 0) break;
+
+            if (attempt >= this.maxRepairAttempts) {
+                logger.error(`❌ AI response still invalid for ${invalid.join(', ')} after ${attempt} repair attempts`);
+                Object.assign(results, this.failedResults(invalid, [], validated));
+                break;
+            }
+
+            const errors = invalid.flatMap(ref => validated[ref].errors.map(e => `${ref}: ${e}`));
+            logger.warn(`🔧 AI response failed validation for ${invalid.length} positions, requesting repair (attempt ${attempt + 1})`, errors.slice(0, 10));
+
+            conversation = [
+                ...conversation,
+                { role: 'assistant', content: text },
+                { role: 'user', content: this.buildRepairPrompt(invalid, errors) }
+            ];
+
+            // The answer being repaired is the best guess at how long the corrected one will be
+            const promptTokens = conversation.reduce((sum, m) => sum + estimateTokens(m.content), 0);
+            const { costNok } = this.usageTracker
+                ? this.usageTracker.estimateCost(this.model, promptTokens, estimateTokens(text))
+                : { costNok: 0 };
+
+            if (this.usageTracker && !this.usageTracker.reserve(costNok)) {
+                logger.warn(`💸 Run budget reached, using deterministic extraction for ${invalid.join(', ')} instead of a repair`);
+                invalid.forEach(ref => {
+                    results[ref] = { status: 'budget_fallback', components: [], errors: [] };
+                });
+                break;
+            }
+
+            try {
+                this.aiCallCount++;
+                const repair = await this.scheduler.complete(this.llm, {
+                    messages: conversation,
+                    temperature: 0,
+                    maxTokens: 16000
+                }, `${this.requestLabel(usageContext)} (repair)`);
+                this.recordUsage(repair, { ...usageContext, purpose: 'repair' });
+                text = repair.content;
+                pending = invalid;
+            } catch (repairError) {
+                logger.error('❌ AI repair request failed', repairError);
+                Object.assign(results, this.failedResults(invalid, [repairError.message], validated));
+                break;
+            } finally {
+                if (this.usageTracker) this.usageTracker.release(costNok);
+            }
+        }
+
+        return results;
+    }
+
+    buildRepairPrompt(positionRefs, errors) {
+        return `Your previous response did not pass validation:
+${errors.slice(0, 40).map(e => `- ${e}`).join('\n')}
+
+Return corrected JSON for ONLY these positions: ${positionRefs.join(', ')}.
+Rules:
+- "type" must be one of: ${KNOWN_COMPONENT_TYPES.join(', ')}
+- "sequence" must be a number or a sub-sequence string like "3.1"; "quantity" must be a number; "mbl_kg" and "match_confidence" must be numbers or null
+- "matched_product_id" must be an id from the PRODUCT CATALOG above, or null
+- Keep the same output format, JSON only, no markdown.`;
+    }
+
+    failedResults(positionRefs, errors, validated = {}) {
+        return Object.fromEntries(positionRefs.map(ref => [ref, {
+            status: 'failed',
+            components: [],
+            errors: validated[ref] ? validated[ref].errors : errors
+        }]));
+    }
+
     shouldSkipSheet(sheetName) {
         const nameLower = (sheetName || '').toString().toLowerCase();
         
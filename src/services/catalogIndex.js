@@ -0,0 +1,100 @@
+const { classifyComponentType } = require('./componentTypes');
+const { specValues } = require('./specParser');
+
+const K1 = 1.2;
+const B = 0.75;
+const SPEC_TOLERANCE = 0.10;
+const SPEC_FIELDS = ['diameter_mm', 'length_m', 'weight_kg', 'mbl_kg'];
+
+// "Sjakkel 35t Ø32mm" → ["sjakkel", "35", "32", "mm"]; units are matched through the spec filters instead
+function tokenize(text) {
+    return (text || '').toString().toLowerCase()
+        .replace(/(\d),(\d)/g, '$1.$2')
+        .replace(/(\d)([a-zæøå])/g, '$1 $2')
+        .replace(/([a-zæøå])(\d)/g, '$1 $2')
+        .split(/[^a-z0-9æøå.]+/)
+        .map(token => token.replace(/^\.+|\.+$/g, ''))
+        .filter(token => token.length > 1 || /\d/.test(token));
+}
+
+function withTypeToken(tokens, text) {
+    const type = classifyComponentType(text);
+    return type === 'unknown' ? tokens : [...tokens, `type:${type}`];
+}
+
+function specsConflict(query, product, tolerance) {
+    return SPEC_FIELDS.some(field => {
+        const a = query[field];
+        const b = product[field];
+        if (!a || !b) return false;
+        return Math.abs(a - b) / Math.max(a, b) > tolerance;
+    });
+}
+
+class CatalogIndex {
+    constructor(productCatalog = [], options = {}) {
+        this.tolerance = options.tolerance ?? SPEC_TOLERANCE;
+        this.documents = [];
+        this.postings = new Map();
+
+        for (const product of productCatalog) {
+            const text = `${product.description || ''} ${product.category || ''}`;
+            const tokens = withTypeToken(tokenize(`${text} ${product.supplier || ''}`), text);
+            const specs = specValues(product.description);
+            const doc = {
+                product,
+                length: tokens.length,
+                specs: { ...specs, mbl_kg: product.mblKg || specs.mbl_kg }
+            };
+            const index = this.documents.push(doc) - 1;
+
+            const frequencies = new Map();
+            tokens.forEach(token => frequencies.set(token, (frequencies.get(token) || 0) + 1));
+            for (const [token, tf] of frequencies) {
+                if (!this.postings.has(token)) this.postings.set(token, []);
+                this.postings.get(token).push({ index, tf });
+            }
+        }
+
+        this.averageLength = this.documents.length > 0
+            ? this.documents.reduce((sum, doc) => sum + doc.length, 0) / this.documents.length
+            : 0;
+    }
+
+    idf(token) {
+        const df = (this.postings.get(token) || []).length;
+        return Math.log(1 + (this.documents.length - df + 0.5) / (df + 0.5));
+    }
+
+    // Products ranked by BM25 on the description; products whose specs contradict the row are dropped
+    search(text, { limit = 8 } = {}) {
+        const queryTokens = [...new Set(withTypeToken(tokenize(text), text))];
+        const querySpecs = specValues(text);
+        const scores = new Map();
+
+        for (const token of queryTokens) {
+            const postings = this.postings.get(token);
+            if (!postings) continue;
+
+            const idf = this.idf(token);
+            for (const { index, tf } of postings) {
+                const doc = this.documents[index];
+                const norm = tf * (K1 + 1) / (tf + K1 * (1 - B + B * doc.length / this.averageLength));
+                scores.set(index, (scores.get(index) || 0) + idf * norm);
+            }
+        }
+
+        return [...scores.entries()]
+            .filter(([index]) => !specsConflict(querySpecs, this.documents[index].specs, this.tolerance))
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, limit)
+            .map(([index, score]) => ({
+                product: this.documents[index].product,
+                score: Math.round(score * 100) / 100
+            }));
+    }
+}
+
+CatalogIndex.tokenize = tokenize;
+
+module.exports = CatalogIndex;
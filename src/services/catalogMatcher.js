@@ -0,0 +1,195 @@
+const { classifyComponentType } = require('./componentTypes');
+const { specValues } = require('./specParser');
+const { normalizeSupplierName } = require('./supplierRegistry');
+
+const SIGNAL_WEIGHTS = {
+    type: 0.35,
+    diameter: 0.2,
+    weight: 0.2,
+    mbl: 0.15,
+    length: 0.05,
+    supplier: 0.05
+};
+
+const SPEC_TOLERANCE = 0.10;
+// Type plus one key spec is what the matching policy calls a full match; less evidence scales confidence down
+const FULL_EVIDENCE_WEIGHT = 0.5;
+const MIN_MATCH_CONFIDENCE = 0.6;
+const MAX_APPROXIMATE_CONFIDENCE = 0.89;
+
+class CatalogMatcher {
+    constructor(productCatalog = [], options = {}) {
+        this.tolerance = options.tolerance ?? SPEC_TOLERANCE;
+        this.minConfidence = options.minConfidence ?? MIN_MATCH_CONFIDENCE;
+        this.supplierRegistry = options.supplierRegistry || null;
+        this.products = productCatalog.map(product => ({
+            product,
+            features: this.productFeatures(product)
+        }));
+        this.productsById = new Map(this.products.map(p => [p.product.id, p]));
+    }
+
+    productFeatures(product) {
+        const text = `${product.description || ''} ${product.category || ''}`;
+        const specs = specValues(product.description);
+        return {
+            type: classifyComponentType(text),
+            diameter_mm: specs.diameter_mm,
+            weight_kg: specs.weight_kg,
+            length_m: specs.length_m,
+            mbl_kg: product.mblKg || specs.mbl_kg,
+            supplier: normalizeSupplierName(product.supplier),
+            supplierId: product.supplierId || null
+        };
+    }
+
+    componentFeatures(component) {
+        const specs = specValues(component.description);
+        const extracted = component.specifications || {};
+        const capacityT = extracted.capacity_t ?? specs.capacity_t;
+        return {
+            type: component.type && component.type !== 'unknown'
+                ? component.type
+                : classifyComponentType(component.description),
+            diameter_mm: extracted.diameter_mm ?? specs.diameter_mm,
+            weight_kg: extracted.weight_kg ?? specs.weight_kg,
+            length_m: extracted.length_m ?? specs.length_m,
+            mbl_kg: component.mbl_kg || (capacityT !== null && capacityT !== undefined ? capacityT * 1000 : null),
+            supplier: normalizeSupplierName(component.manufacturer),
+            supplierId: component.supplier_id || null
+        };
+    }
+
+    getProduct(productId) {
+        const entry = this.productsById.get(productId);
+        return entry ? entry.product : null;
+    }
+
+    describeMatch(result) {
+        const matched = Object.entries(result.signals)
+            .filter(([, signal]) => signal.applicable && signal.score > 0)
+            .map(([name]) => name);
+        return matched.length > 0 ? `Local matcher: ${matched.join(', ')} agree` : 'Local matcher';
+    }
+
+    evaluate(component, product) {
+        const entry = this.productsById.get(product.id) || { product, features: this.productFeatures(product) };
+        return this.score(this.componentFeatures(component), entry);
+    }
+
+    rank(component, limit = 5) {
+        const features = this.componentFeatures(component);
+
+        return this.products
+            .map(entry => this.score(features, entry))
+            .sort((a, b) => (a.vetoed - b.vetoed) || (b.confidence - a.confidence))
+            .slice(0, limit);
+    }
+
+    bestMatch(component) {
+        const [best] = this.rank(component, 1);
+        if (!best || best.vetoed || best.confidence < this.minConfidence) {
+            return null;
+        }
+
+        // A match needs the component type plus at least one key spec to agree, never supplier alone
+        const { type, diameter, weight, mbl, length } = best.signals;
+        const hasSpec = [diameter, weight, mbl, length].some(signal => signal.applicable);
+        if (!type.applicable || !hasSpec) {
+            return null;
+        }
+        return best;
+    }
+
+    score(component, { product, features }) {
+        const signals = {
+            type: this.typeSignal(component.type, features.type),
+            diameter: this.specSignal(component.diameter_mm, features.diameter_mm, 'mm'),
+            weight: this.specSignal(component.weight_kg, features.weight_kg, 'kg'),
+            mbl: this.specSignal(component.mbl_kg, features.mbl_kg, 'kg'),
+            length: this.specSignal(component.length_m, features.length_m, 'm'),
+            supplier: this.supplierSignal(component, features)
+        };
+
+        let weighted = 0;
+        let applicableWeight = 0;
+        const vetoReasons = [];
+
+        for (const [name, signal] of Object.entries(signals)) {
+            signal.weight = SIGNAL_WEIGHTS[name];
+            if (!signal.applicable) continue;
+
+            weighted += signal.score * signal.weight;
+            applicableWeight += signal.weight;
+            if (signal.veto) vetoReasons.push(`${name}: ${signal.detail}`);
+        }
+
+        const score = applicableWeight > 0 ? weighted / applicableWeight : 0;
+        const coverage = Math.min(1, applicableWeight / FULL_EVIDENCE_WEIGHT);
+        const approximate = ['diameter', 'weight', 'mbl', 'length'].some(name => signals[name].applicable && signals[name].score < 1);
+        const ceiling = approximate ? MAX_APPROXIMATE_CONFIDENCE : 1;
+
+        return {
+            productId: product.id,
+            description: product.description,
+            supplier: product.supplier,
+            score: round(score),
+            confidence: vetoReasons.length > 0 ? 0 : round(Math.min(ceiling, score * (0.7 + 0.3 * coverage))),
+            vetoed: vetoReasons.length > 0,
+            vetoReasons,
+            signals
+        };
+    }
+
+    typeSignal(componentType, productType) {
+        if (!componentType || componentType === 'unknown' || productType === 'unknown') {
+            return { applicable: false, score: 0, detail: 'type unknown' };
+        }
+        if (componentType === productType) {
+            return { applicable: true, score: 1, detail: `${componentType} = ${productType}` };
+        }
+        return { applicable: true, score: 0, veto: true, detail: `${componentType} ≠ ${productType}` };
+    }
+
+    specSignal(componentValue, productValue, unit) {
+        if (!isNumber(componentValue) || !isNumber(productValue)) {
+            return { applicable: false, score: 0, detail: 'not specified' };
+        }
+
+        const diff = Math.abs(componentValue - productValue) / Math.max(componentValue, productValue);
+        const detail = `${componentValue}${unit} vs ${productValue}${unit}`;
+
+        if (diff < 0.001) return { applicable: true, score: 1, detail };
+        if (diff <= this.tolerance) {
+            return { applicable: true, score: round(1 - (diff / this.tolerance) * 0.4), detail: `${detail} (within ${Math.round(this.tolerance * 100)}%)` };
+        }
+        return { applicable: true, score: 0, veto: true, detail: `${detail} (differs ${Math.round(diff * 100)}%)` };
+    }
+
+    supplierSignal(component, product) {
+        if (component.supplierId && product.supplierId) {
+            const same = this.supplierRegistry
+                ? this.supplierRegistry.isSameSupplier(component.supplierId, product.supplierId)
+                : component.supplierId === product.supplierId;
+            return { applicable: true, score: same ? 1 : 0, detail: same ? 'same supplier' : 'different supplier' };
+        }
+
+        if (!component.supplier || !product.supplier) {
+            return { applicable: false, score: 0, detail: 'not specified' };
+        }
+        const same = component.supplier === product.supplier ||
+            component.supplier.includes(product.supplier) ||
+            product.supplier.includes(component.supplier);
+        return { applicable: true, score: same ? 1 : 0, detail: same ? 'same supplier' : 'different supplier' };
+    }
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+module.exports = CatalogMatcher;
@@ -0,0 +1,73 @@
+const { normalizeSequence } = require('./sequenceIntegrity');
+
+const COMPARED_FIELDS = [
+    { field: 'product', label: 'Product', extracted: c => c.productId, existing: e => e.ProductId },
+    { field: 'tracking_number', label: 'Tracking number', extracted: c => c.productNumber, existing: e => e.ProductNumber },
+    { field: 'quantity', label: 'Quantity', extracted: c => c.quantity, existing: e => e.Quantity },
+    { field: 'sequence', label: 'Sequence', extracted: c => c.sequence, existing: e => e.Sequence, key: sequenceKey }
+];
+
+function comparable(value) {
+    if (value === null || value === undefined) return '';
+    const text = value.toString().trim();
+    return text !== '' && Number.isFinite(Number(text)) ? String(Number(text)) : text.toLowerCase();
+}
+
+// 3.1 and 3.10 are different sub-sequences, so sequences are not compared as numbers
+function sequenceKey(value) {
+    return `${normalizeSequence(value) ?? ''}`;
+}
+
+// Components stored before sequences were recorded have no Sequence, which is not a change
+function diffComponent(component, existing) {
+    return COMPARED_FIELDS
+        .filter(({ field }) => field !== 'sequence' || (existing.Sequence !== null && existing.Sequence !== undefined))
+        .filter(f => (f.key || comparable)(f.extracted(component)) !== (f.key || comparable)(f.existing(existing)))
+        .map(f => ({ field: f.field, label: f.label, before: f.existing(existing) ?? null, after: f.extracted(component) ?? null }));
+}
+
+// Same sequence first, then the same tracking number, then the same product; each stored row is used once
+function findCounterpart(component, candidates, used) {
+    const free = candidates.filter(e => !used.has(e.Id));
+    const sameSequence = sequenceKey(component.sequence) !== '' &&
+        free.find(e => sequenceKey(e.Sequence) === sequenceKey(component.sequence));
+    const sameTracking = comparable(component.productNumber) !== '' &&
+        free.find(e => comparable(e.ProductNumber) === comparable(component.productNumber));
+    // Rows without a product say nothing about each other, so they never pair on product
+    const sameProduct = component.productId !== null && component.productId !== undefined &&
+        free.find(e => e.ProductId === component.productId);
+    return sameSequence || sameTracking || sameProduct || null;
+}
+
+function classifyComponents(components, existingComponents) {
+    const byPosition = new Map();
+    existingComponents.forEach(e => {
+        if (!byPosition.has(e.PositionId)) byPosition.set(e.PositionId, []);
+        byPosition.get(e.PositionId).push(e);
+    });
+
+    const used = new Set();
+    const entries = components.map((component, index) => {
+        const existing = findCounterpart(component, byPosition.get(component.positionId) || [], used);
+        if (!existing) return { index, status: 'new', existing: null, changes: [], action: 'insert' };
+
+        used.add(existing.Id);
+        const changes = diffComponent(component, existing);
+        return changes.length === 0
+            ? { index, status: 'identical', existing, changes, action: 'skip' }
+            : { index, status: 'changed', existing, changes, action: 'update' };
+    });
+
+    const summary = { new: 0, identical: 0, changed: 0 };
+    entries.forEach(entry => summary[entry.status]++);
+
+    // Stored components the document has no counterpart for
+    const unmatched = existingComponents.filter(e => !used.has(e.Id));
+
+    return { entries, summary, unmatched };
+}
+
+module.exports = {
+    classifyComponents,
+    diffComponent
+};
@@ -0,0 +1,33 @@
+const COMPONENT_TYPE_KEYWORDS = [
+    { type: 'bolt', keywords: ['bolt'] },
+    { type: 'wire', keywords: ['wire'] },
+    { type: 'thimble', keywords: ['kause', 'thimble'] },
+    { type: 'master link', keywords: ['masterlink', 'master link', 'mastelink'] },
+    { type: 'chain', keywords: ['kjetting', 'kjede', 'chain'] },
+    { type: 'shackle', keywords: ['sjakkel', 'sjakel', 'shackle'] },
+    { type: 'anchor', keywords: ['anker', 'ploganker', 'anchor'] },
+    { type: 'rope', keywords: ['tau', 'trosse', 'rope'] },
+    { type: 'buoy', keywords: ['bøye', 'buoy'] },
+    { type: 'swivel', keywords: ['swivel', 'svirvel'] },
+    { type: 'grid plate', keywords: ['plate'] },
+    { type: 'sinker', keywords: ['lodd', 'søkk', 'søkke'] }
+];
+
+const KNOWN_COMPONENT_TYPES = [...COMPONENT_TYPE_KEYWORDS.map(t => t.type), 'unknown'];
+
+// Later entries win, so "ankerkjetting" classifies as an anchor (same precedence the hybrid extractor has always used)
+function classifyComponentType(text) {
+    const full = (text || '').toString().toLowerCase();
+    let componentType = 'unknown';
+
+    for (const { type, keywords } of COMPONENT_TYPE_KEYWORDS) {
+        if (keywords.some(k => full.includes(k))) componentType = type;
+    }
+
+    return componentType;
+}
+
+module.exports = {
+    KNOWN_COMPONENT_TYPES,
+    classifyComponentType
+};
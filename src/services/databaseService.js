@@ -1,5 +1,6 @@
 const sql = require('mssql');
 require('dotenv').config();
+const { LOAD_UNIT_FACTORS, loadToKg } = require('./specParser');
 const logger = require('../utils/logger');
 
 class DatabaseService {
@@ -21,6 +22,9 @@ class DatabaseService {
                 idleTimeoutMillis: 30000
             }
         };
+        // Products.MinimumBreakingLoad and Positions.Mbl have no unit of their own: kg, t or kN
+        this.catalogMblUnit = (process.env.CATALOG_MBL_UNIT || '').trim().toLowerCase() || null;
+        this.positionMblUnit = (process.env.POSITION_MBL_UNIT || '').trim().toLowerCase() || null;
         this.pool = null;
         this.isConnected = false;
     }
@@ -161,8 +165,17 @@ class DatabaseService {
                     ORDER BY Name
                 `;
 
-            logger.info(`Loaded ${result.recordset.length} positions for mooring ${mooringId}`);
-            return result.recordset;
+            const positions = result.recordset.map(p => ({
+                ...p,
+                MblKg: loadToKg(p.Mbl, this.positionMblUnit)
+            }));
+
+            if (!LOAD_UNIT_FACTORS[this.positionMblUnit] && positions.some(p => p.Mbl > 0)) {
+                logger.warn(`⚠️ POSITION_MBL_UNIT is ${this.positionMblUnit ? `"${this.positionMblUnit}", not kg, t or kN` : 'not set'}; position design MBL is not checked`);
+            }
+
+            logger.info(`Loaded ${positions.length} positions for mooring ${mooringId}`);
+            return positions;
         } catch (error) {
             logger.error('Failed to load positions', error);
             throw error;
@@ -233,10 +246,15 @@ class DatabaseService {
                 supplier: p.SupplierName,
                 supplierId: p.SupplierId,
                 mbl: p.MinimumBreakingLoad,
+                mblKg: loadToKg(p.MinimumBreakingLoad, this.catalogMblUnit),
                 unit: p.UnitAbbr || p.UnitName,
                 category: p.CategoryName
             }));
 
+            if (!LOAD_UNIT_FACTORS[this.catalogMblUnit] && catalog.some(p => p.mbl > 0)) {
+                logger.warn(`⚠️ CATALOG_MBL_UNIT is ${this.catalogMblUnit ? `"${this.catalogMblUnit}", not kg, t or kN` : 'not set'}; catalog MBL values are not used`);
+            }
+
             logger.info(`Loaded ${catalog.length} products from catalog` + 
                 (supplierId ? ` for supplier ${supplierId}` : ''));
             
@@ -373,54 +391,64 @@ class DatabaseService {
         }
     }
 
+    componentInsert(request, componentData, submissionBatchId = null) {
+        return request
+            .input('positionId', sql.Int, componentData.positionId)
+            .input('productId', sql.Int, componentData.productId)
+            .input('productNumber', sql.NVarChar, componentData.productNumber)
+            .input('productDescription', sql.NVarChar, componentData.productDescription)
+            .input('supplierId', sql.Int, componentData.supplierId)
+            .input('quantity', sql.Decimal(18, 2), componentData.quantity)
+            .input('unitId', sql.Int, componentData.unitId)
+            .input('mbl', sql.Decimal(18, 2), componentData.mbl)
+            .input('installationDate', sql.DateTime, componentData.installationDate)
+            .input('notes', sql.NVarChar, componentData.notes)
+            .input('sequence', sql.NVarChar(20), componentData.sequence != null ? String(componentData.sequence) : null)
+            .input('submissionBatchId', sql.UniqueIdentifier, submissionBatchId)
+            .query`
+                INSERT INTO Components (
+                    PositionId,
+                    ProductId,
+                    ProductNumber,
+                    ProductDescription,
+                    SupplierId,
+                    Quantity,
+                    UnitId,
+                    MinimumBreakingLoad,
+                    InstallationDate,
+                    Notes,
+                    Sequence,
+                    SubmissionBatchId,
+                    IsDeleted,
+                    CreatedAt,
+                    UpdatedAt
+                )
+                OUTPUT INSERTED.Id
+                VALUES (
+                    @positionId,
+                    @productId,
+                    @productNumber,
+                    @productDescription,
+                    @supplierId,
+                    @quantity,
+                    @unitId,
+                    @mbl,
+                    @installationDate,
+                    @notes,
+                    @sequence,
+                    @submissionBatchId,
+                    0,
+                    GETDATE(),
+                    GETDATE()
+                )
+            `;
+    }
+
     async insertComponent(componentData) {
         await this.connect();
 
         try {
-            const result = await this.pool.request()
-                .input('positionId', sql.Int, componentData.positionId)
-                .input('productId', sql.Int, componentData.productId)
-                .input('productNumber', sql.NVarChar, componentData.productNumber)
-                .input('productDescription', sql.NVarChar, componentData.productDescription)
-                .input('supplierId', sql.Int, componentData.supplierId)
-                .input('quantity', sql.Decimal(18, 2), componentData.quantity)
-                .input('unitId', sql.Int, componentData.unitId)
-                .input('mbl', sql.Decimal(18, 2), componentData.mbl)
-                .input('installationDate', sql.DateTime, componentData.installationDate)
-                .input('notes', sql.NVarChar, componentData.notes)
-                .query`
-                    INSERT INTO Components (
-                        PositionId,
-                        ProductId,
-                        ProductNumber,
-                        ProductDescription,
-                        SupplierId,
-                        Quantity,
-                        UnitId,
-                        MinimumBreakingLoad,
-                        InstallationDate,
-                        Notes,
-                        IsDeleted,
-                        CreatedAt,
-                        UpdatedAt
-                    )
-                    OUTPUT INSERTED.Id
-                    VALUES (
-                        @positionId,
-                        @productId,
-                        @productNumber,
-                        @productDescription,
-                        @supplierId,
-                        @quantity,
-                        @unitId,
-                        @mbl,
-                        @installationDate,
-                        @notes,
-                        0,
-                        GETDATE(),
-                        GETDATE()
-                    )
-                `;
+            const result = await this.componentInsert(this.pool.request(), componentData);
 
             logger.info(`Inserted component (ID: ${result.recordset[0].Id}) for position ${componentData.positionId}`);
             return result.recordset[0].Id;
@@ -430,6 +458,160 @@ class DatabaseService {
         }
     }
 
+    // Commits only if work resolves; any error rolls everything back and is rethrown
+    async runInTransaction(work) {
+        await this.connect();
+
+        const transaction = new sql.Transaction(this.pool);
+        await transaction.begin();
+
+        try {
+            const result = await work(transaction);
+            await transaction.commit();
+            return result;
+        } catch (error) {
+            try {
+                await transaction.rollback();
+            } catch (rollbackError) {
+                logger.error('Failed to roll back transaction', rollbackError);
+            }
+            throw error;
+        }
+    }
+
+    componentUpdate(request, componentId, componentData, submissionBatchId) {
+        return request
+            .input('id', sql.Int, componentId)
+            .input('productId', sql.Int, componentData.productId)
+            .input('productNumber', sql.NVarChar, componentData.productNumber)
+            .input('productDescription', sql.NVarChar, componentData.productDescription)
+            .input('supplierId', sql.Int, componentData.supplierId)
+            .input('quantity', sql.Decimal(18, 2), componentData.quantity)
+            .input('unitId', sql.Int, componentData.unitId)
+            .input('mbl', sql.Decimal(18, 2), componentData.mbl)
+            .input('sequence', sql.NVarChar(20), componentData.sequence != null ? String(componentData.sequence) : null)
+            .input('submissionBatchId', sql.UniqueIdentifier, submissionBatchId)
+            .query`
+                UPDATE Components
+                SET ProductId = @productId,
+                    ProductNumber = @productNumber,
+                    ProductDescription = @productDescription,
+                    SupplierId = @supplierId,
+                    Quantity = @quantity,
+                    UnitId = @unitId,
+                    MinimumBreakingLoad = @mbl,
+                    Sequence = @sequence,
+                    SubmissionBatchId = @submissionBatchId,
+                    UpdatedAt = GETDATE()
+                OUTPUT INSERTED.Id
+                WHERE Id = @id
+                  AND IsDeleted = 0
+            `;
+    }
+
+    // reason is 'replaced' when replacedByComponentId points at the new component, 'removed' when nothing took its place
+    componentRetire(request, componentId, reason, replacedByComponentId = null) {
+        return request
+            .input('id', sql.Int, componentId)
+            .input('reason', sql.NVarChar(20), reason)
+            .input('replacedBy', sql.Int, replacedByComponentId)
+            .query`
+                UPDATE Components
+                SET IsDeleted = 1,
+                    RemovedDate = GETDATE(),
+                    RemovalReason = @reason,
+                    ReplacedByComponentId = @replacedBy,
+                    UpdatedAt = GETDATE()
+                WHERE Id = @id
+                  AND IsDeleted = 0
+            `;
+    }
+
+    async getComponentsByPositions(positionIds) {
+        if (positionIds.length === 0) return [];
+        await this.connect();
+
+        try {
+            const request = this.pool.request();
+            const params = positionIds.map((positionId, idx) => {
+                request.input(`position${idx}`, sql.Int, positionId);
+                return `@position${idx}`;
+            });
+
+            const result = await request.query(`
+                SELECT 
+                    Id,
+                    PositionId,
+                    ProductId,
+                    ProductNumber,
+                    ProductDescription,
+                    SupplierId,
+                    Quantity,
+                    UnitId,
+                    MinimumBreakingLoad,
+                    Sequence,
+                    SubmissionBatchId
+                FROM Components
+                WHERE PositionId IN (${params.join(', ')})
+                  AND IsDeleted = 0
+                ORDER BY PositionId, Id
+            `);
+
+            logger.info(`Loaded ${result.recordset.length} existing components for ${positionIds.length} positions`);
+            return result.recordset;
+        } catch (error) {
+            logger.error('Failed to load existing components', error);
+            throw error;
+        }
+    }
+
+    // Applies insert/update/replace/remove operations all-or-nothing; error.rowIndex points at the operation that failed.
+    // replace inserts the new component first so the retired one can point at it; remove retires without a replacement
+    async writeComponentBatch(operations, submissionBatchId) {
+        let rowIndex = 0;
+
+        try {
+            const componentIds = await this.runInTransaction(async transaction => {
+                const ids = [];
+                for (rowIndex = 0; rowIndex < operations.length; rowIndex++) {
+                    const { type, component, existingId } = operations[rowIndex];
+
+                    if (type === 'update') {
+                        const result = await this.componentUpdate(new sql.Request(transaction), existingId, component, submissionBatchId);
+                        if (result.recordset.length === 0) throw new Error(`Component ${existingId} no longer exists`);
+                        ids.push(existingId);
+                        continue;
+                    }
+
+                    if (type === 'remove') {
+                        const result = await this.componentRetire(new sql.Request(transaction), existingId, 'removed');
+                        if (result.rowsAffected[0] === 0) throw new Error(`Component ${existingId} no longer exists`);
+                        ids.push(existingId);
+                        continue;
+                    }
+
+                    const result = await this.componentInsert(new sql.Request(transaction), component, submissionBatchId);
+                    const insertedId = result.recordset[0].Id;
+
+                    if (type === 'replace') {
+                        const retired = await this.componentRetire(new sql.Request(transaction), existingId, 'replaced', insertedId);
+                        if (retired.rowsAffected[0] === 0) throw new Error(`Component ${existingId} no longer exists`);
+                    }
+
+                    ids.push(insertedId);
+                }
+                return ids;
+            });
+
+            logger.info(`Wrote ${componentIds.length} components in batch ${submissionBatchId}`);
+            return componentIds;
+        } catch (error) {
+            logger.error(`Component batch ${submissionBatchId} rolled back at operation ${rowIndex + 1} of ${operations.length}`, error);
+            error.rowIndex = rowIndex < operations.length ? rowIndex : null;
+            throw error;
+        }
+    }
+
     async updatePositionReference(positionId, reference) {
         await this.connect();
 
@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+const { isSpreadsheet, getDocumentType, readTables } = require('./spreadsheetReader');
+const PdfExtractor = require('./pdfExtractor');
+const OcrExtractor = require('./ocrExtractor');
+const logger = require('../utils/logger');
+
+const IMAGE_TYPES = ['.jpg', '.jpeg', '.png'];
+
+class DocumentReader {
+    constructor() {
+        this.ocrExtractor = new OcrExtractor();
+        this.pdfExtractor = new PdfExtractor(this.ocrExtractor);
+        this.cache = new Map();
+    }
+
+    get supportedFileTypes() {
+        return ['.xlsx', '.xls', '.ods', '.csv', '.pdf', ...IMAGE_TYPES];
+    }
+
+    // Each version of a file is read once, so the reference scan, the estimate and the run share one OCR pass.
+    // Sheets are skipped afterwards because engines skip different sheets
+    async readTables(filePath, shouldSkipSheet = () => false) {
+        const key = `${filePath}:${fs.statSync(filePath).mtimeMs}`;
+
+        if (!this.cache.has(key)) {
+            this.cache.set(key, this.readDocument(filePath).catch(error => {
+                this.cache.delete(key);
+                throw error;
+            }));
+        }
+
+        const document = await this.cache.get(key);
+        if (!isSpreadsheet(filePath) || document.documentType === 'csv') return document;
+
+        return {
+            ...document,
+            tables: document.tables.filter(table => {
+                if (!shouldSkipSheet(table.name)) return true;
+                logger.info(`⏭️ Skipping sheet: ${table.name}`);
+                return false;
+            })
+        };
+    }
+
+    clearCache() {
+        this.cache.clear();
+    }
+
+    async readDocument(filePath) {
+        const fileType = path.extname(filePath).toLowerCase();
+
+        if (isSpreadsheet(filePath)) {
+            return {
+                documentType: getDocumentType(filePath),
+                tables: readTables(filePath)
+            };
+        }
+
+        if (fileType === '.pdf') {
+            const { pageCount, ocrPageCount, tables } = await this.pdfExtractor.extractTables(filePath);
+            return {
+                documentType: 'pdf',
+                tables,
+                pageCount,
+                ocrPageCount
+            };
+        }
+
+        if (IMAGE_TYPES.includes(fileType)) {
+            const { tables } = await this.ocrExtractor.extractTablesFromImage(filePath);
+            return {
+                documentType: 'image',
+                tables
+            };
+        }
+
+        throw new Error(`Unsupported file type: ${fileType}`);
+    }
+}
+
+module.exports = DocumentReader;
@@ -1,13 +1,40 @@
 const path = require('path');
+const crypto = require('crypto');
 const DatabaseService = require('./databaseService');
 const CatalogAwareExtractor = require('./catalogAwareExtractor');
+const HybridExtractor = require('./DeterministicExtractor');
+const DocumentReader = require('./documentReader');
+const SupplierRegistry = require('./supplierRegistry');
+const { normalizeReference, suggestPositionMappings, findUnassigned } = require('./positionSuggester');
+const { readMappingTemplate, validateMappingTemplate, writeMappingTemplate } = require('./mappingTemplate');
+const { UsageTracker, UsageHistory } = require('./usageTracker');
+const { AiResponseCache, catalogVersion } = require('./aiResponseCache');
+const RequestScheduler = require('./requestScheduler');
+const { loadPositionRules, validatePositionGroups } = require('./positionRules');
+const { analyzeLineStrength } = require('./lineStrength');
+const { checkSequenceIntegrity } = require('./sequenceIntegrity');
+const { classifyComponents } = require('./componentDiff');
 const logger = require('../utils/logger');
 
+const EXTRACTION_ENGINES = {
+    deterministic: { label: 'Deterministic only (no AI)', create: () => new HybridExtractor({ useAI: false }) },
+    hybrid: { label: 'Hybrid (rules + AI fallback)', create: () => new HybridExtractor({ useAI: true }) },
+    catalog: { label: 'Catalog-aware AI', create: () => new CatalogAwareExtractor() }
+};
+
 class IntegratedFileProcessor {
     constructor() {
         this.db = new DatabaseService();
-        this.extractor = null;
-        this.supportedFileTypes = ['.xlsx', '.xls'];
+        this.documentReader = new DocumentReader();
+        this.extractors = {};
+        this.productCatalog = [];
+        this.units = null;
+        this.supplierRegistry = new SupplierRegistry();
+        this.usageHistory = new UsageHistory();
+        this.aiCache = new AiResponseCache();
+        this.scheduler = new RequestScheduler();
+        this.positionRules = loadPositionRules();
+        this.supportedFileTypes = this.documentReader.supportedFileTypes;
         this.isInitialized = false;
     }
 
@@ -20,10 +47,11 @@ class IntegratedFileProcessor {
             await this.db.connect();
             logger.info('✅ Database connected');
 
-            const productCatalog = await this.db.getProductCatalog();
-            logger.info(`✅ Loaded ${productCatalog.length} products from catalog`);
+            this.productCatalog = await this.db.getProductCatalog();
+            logger.info(`✅ Loaded ${this.productCatalog.length} products from catalog`);
 
-            this.extractor = new CatalogAwareExtractor(productCatalog);
+            this.supplierRegistry.load(await this.db.getSuppliers());
+            this.aiCache.invalidateCatalog(catalogVersion(this.productCatalog));
             
             this.isInitialized = true;
             logger.info('✅ File processor initialized successfully');
@@ -35,25 +63,155 @@ class IntegratedFileProcessor {
         }
     }
 
-    async processFiles(filePaths, positionMappings = [], preferredSupplierId = null) {
+    getExtractionEngines() {
+        return Object.entries(EXTRACTION_ENGINES).map(([id, engine]) => ({ id, label: engine.label }));
+    }
+
+    getExtractor(engine) {
+        if (!EXTRACTION_ENGINES[engine]) {
+            throw new Error(`Unknown extraction engine: ${engine}`);
+        }
+
+        if (!this.extractors[engine]) {
+            this.extractors[engine] = EXTRACTION_ENGINES[engine].create();
+            this.extractors[engine].setSupplierRegistry(this.supplierRegistry);
+            this.extractors[engine].setAiCache(this.aiCache);
+            this.extractors[engine].setScheduler(this.scheduler);
+        }
+
+        return this.extractors[engine];
+    }
+
+    // Uses the selected engine's position detection so the scan finds the references its extraction will produce.
+    // Engines build their model client on first use, so the scan works offline whichever engine is selected
+    async scanPositionReferences(filePaths, engine = 'catalog') {
+        const extractor = this.getExtractor(engine);
+        const found = new Map();
+        const errors = [];
+
+        for (const filePath of filePaths) {
+            const fileName = path.basename(filePath);
+
+            try {
+                const { tables } = await this.documentReader.readTables(filePath, sheetName => extractor.shouldSkipSheet(sheetName));
+
+                for (const reference of extractor.findPositionReferences(tables)) {
+                    const key = normalizeReference(reference);
+                    if (!found.has(key)) found.set(key, { reference: key, files: [] });
+
+                    const entry = found.get(key);
+                    if (!entry.files.includes(fileName)) entry.files.push(fileName);
+                }
+            } catch (error) {
+                logger.error(`❌ Failed to scan ${fileName} for position references`, error);
+                errors.push({ fileName, error: error.message });
+            }
+        }
+
+        logger.info(`🔎 Found ${found.size} position references in ${filePaths.length} files`);
+        return { references: [...found.values()], errors };
+    }
+
+    suggestPositionMappings(references, positions) {
+        return suggestPositionMappings(references.map(r => r.reference), positions);
+    }
+
+    findUnassigned(references, positions) {
+        return findUnassigned(references, positions);
+    }
+
+    // Uses the components as currently shown, so manual product changes are included
+    analyzeLineStrength(results, positionMappings) {
+        return analyzeLineStrength(results, positionMappings, this.productCatalog);
+    }
+
+    async prepareExtractor(engine, preferredSupplierId) {
         await this.initialize();
 
+        const extractor = this.getExtractor(engine);
+
         if (preferredSupplierId) {
             const supplierCatalog = await this.db.getProductCatalog(preferredSupplierId);
-            this.extractor.setProductCatalog(supplierCatalog);
+            extractor.setProductCatalog(supplierCatalog);
             logger.info(`Set catalog to preferred supplier ID ${preferredSupplierId}: ${supplierCatalog.length} products`);
+        } else {
+            extractor.setProductCatalog(this.productCatalog);
+        }
+
+        return extractor;
+    }
+
+    getDefaultBudget() {
+        return new UsageTracker().budgetNok;
+    }
+
+    // Pre-flight figures for the confirm dialog; token counts are character based, so treat them as rough
+    async estimateRun(filePaths, preferredSupplierId = null, options = {}) {
+        const engine = options.engine || 'catalog';
+        const extractor = await this.prepareExtractor(engine, preferredSupplierId);
+        const usage = new UsageTracker(options.budgetNok !== undefined ? { budgetNok: options.budgetNok } : {});
+        const estimate = { files: 0, positions: 0, chunks: 0, calls: 0, promptTokens: 0, completionTokens: 0, errors: [] };
+
+        for (const filePath of filePaths) {
+            const fileName = path.basename(filePath);
+
+            try {
+                const { tables } = await this.documentReader.readTables(filePath, sheetName => extractor.shouldSkipSheet(sheetName));
+                const fileEstimate = extractor.estimateTables(tables);
+
+                estimate.files++;
+                ['positions', 'chunks', 'calls', 'promptTokens', 'completionTokens'].forEach(key => {
+                    estimate[key] += fileEstimate[key];
+                });
+            } catch (error) {
+                logger.error(`❌ Failed to estimate ${fileName}`, error);
+                estimate.errors.push({ fileName, error: error.message });
+            }
+        }
+
+        const { costUsd, costNok } = extractor.model
+            ? usage.estimateCost(extractor.model, estimate.promptTokens, estimate.completionTokens)
+            : { costUsd: 0, costNok: 0 };
+
+        estimate.totalTokens = estimate.promptTokens + estimate.completionTokens;
+        estimate.estimatedCostUsd = Math.round(costUsd * 10000) / 10000;
+        estimate.estimatedCostNok = Math.round(costNok * 100) / 100;
+        estimate.budgetNok = usage.budgetNok;
+        estimate.overBudget = usage.budgetNok !== null && costNok > usage.budgetNok;
+
+        logger.info(`🧮 Estimate: ${estimate.positions} positions, ${estimate.chunks} chunks, ~${estimate.totalTokens} tokens, ~${estimate.estimatedCostNok} NOK`);
+        return estimate;
+    }
+
+    async processFiles(filePaths, positionMappings = [], preferredSupplierId = null, options = {}) {
+        const engine = options.engine || 'catalog';
+        const extractor = await this.prepareExtractor(engine, preferredSupplierId);
+        logger.info(`⚙️ Extraction engine: ${EXTRACTION_ENGINES[engine].label}`);
+
+        const usage = new UsageTracker(options.budgetNok !== undefined ? { budgetNok: options.budgetNok } : {});
+        extractor.setUsageTracker(usage);
+        if (usage.budgetNok !== null) {
+            logger.info(`💸 Run budget: ${usage.budgetNok} NOK`);
         }
+        const startedAt = new Date().toISOString();
 
         const results = [];
+        this.scheduler.setListener(options.onProgress || null);
         
         for (let i = 0; i < filePaths.length; i++) {
             const filePath = filePaths[i];
             const fileName = path.basename(filePath);
             
             logger.info(`📄 Processing file ${i + 1}/${filePaths.length}: ${fileName}`);
+            const fallbacksBefore = usage.budgetFallbacks;
+            const cacheBefore = this.aiCache.stats();
             
             try {
-                const result = await this.processFile(filePath, fileName, positionMappings);
+                const result = await this.processFile(filePath, fileName, positionMappings, extractor);
+                result.engine = engine;
+                result.usage = usage.summarize(entry => entry.file === fileName);
+                result.budgetFallbacks = usage.budgetFallbacks - fallbacksBefore;
+                result.cache = this.cacheStatsSince(cacheBefore);
                 results.push(result);
             } catch (error) {
                 logger.error(`❌ File processing failed for ${filePath}`, error);
@@ -62,28 +220,92 @@ class IntegratedFileProcessor {
                     filePath: filePath,
                     success: false,
                     error: error.message,
-                    fileType: path.extname(filePath).toLowerCase()
+                    fileType: path.extname(filePath).toLowerCase(),
+                    usage: usage.summarize(entry => entry.file === fileName),
+                    budgetFallbacks: usage.budgetFallbacks - fallbacksBefore,
+                    cache: this.cacheStatsSince(cacheBefore)
                 });
             }
         }
         
+        this.aiCache.save();
+        this.scheduler.setListener(null);
+        
+        if (usage.budgetFallbacks > 0) {
+            logger.warn(`💸 Budget of ${usage.budgetNok} NOK reached: ${usage.budgetFallbacks} AI chunks were handled deterministically`);
+        }
+        
+        this.recordRunUsage(usage, results, { startedAt, engine, model: extractor.model, locality: options.locality, budgetNok: usage.budgetNok });
+        
         return results;
     }
 
-    async processFile(filePath, fileName, positionMappings) {
+    cacheStatsSince(before) {
+        const now = this.aiCache.stats();
+        return { hits: now.hits - before.hits, misses: now.misses - before.misses };
+    }
+
+    clearAiCache() {
+        return this.aiCache.clear();
+    }
+
+    clearDocumentCache() {
+        this.documentReader.clearCache();
+    }
+
+    recordRunUsage(usage, results, run) {
+        const totals = usage.summarize();
+        
+        this.usageHistory.append({
+            runId: `${Date.now()}`,
+            startedAt: run.startedAt,
+            finishedAt: new Date().toISOString(),
+            locality: run.locality || null,
+            engine: run.engine,
+            model: run.model,
+            budgetNok: run.budgetNok,
+            budgetFallbacks: usage.budgetFallbacks,
+            files: results.map(r => ({ fileName: r.fileName, success: r.success, usage: r.usage, cache: r.cache })),
+            totals,
+            entries: usage.entries
+        });
+        
+        logger.info(`💰 Run usage: ${totals.promptTokens} prompt / ${totals.completionTokens} completion tokens (${totals.cachedTokens} cached), $${totals.costUsd} / ${totals.costNok} NOK`);
+    }
+
+    getMonthlySpend(localityId = null) {
+        return this.usageHistory.getMonthlySpend(localityId);
+    }
+
+    async processFile(filePath, fileName, positionMappings, extractor) {
         const fileType = path.extname(filePath).toLowerCase();
         
         if (!this.supportedFileTypes.includes(fileType)) {
             throw new Error(`Unsupported file type: ${fileType}`);
         }
         
-        let extraction;
+        const documentInfo = await this.documentReader.readTables(filePath, sheetName => extractor.shouldSkipSheet(sheetName));
+        logger.info(`📑 Read ${documentInfo.tables.length} tables from ${documentInfo.documentType} document`);
         
-        if (['.xlsx', '.xls'].includes(fileType)) {
-            logger.info(`📊 Using CATALOG-AWARE extractor for Excel`);
-            extraction = await this.extractor.extractFromExcel(filePath, fileName, positionMappings);
-        } else {
-            throw new Error('PDF extraction not yet implemented');
+        const extraction = await extractor.extractFromTables(documentInfo.tables, fileName, positionMappings, documentInfo);
+        
+        if (extraction.success && extraction.data?.position_groups) {
+            extraction.data.position_groups = validatePositionGroups(extraction.data.position_groups, positionMappings, this.positionRules)
+                .map(group => ({ ...group, sequence_issues: checkSequenceIntegrity(group.components, group.document_sequences) }));
+            
+            const flagged = extraction.data.position_groups.filter(g => g.rule_violations.length > 0);
+            if (flagged.length > 0) {
+                logger.warn(`⚠️ ${flagged.length} positions break position-type rules`, {
+                    positions: flagged.map(g => g.document_reference)
+                });
+            }
+            
+            const broken = extraction.data.position_groups.filter(g => g.sequence_issues.length > 0);
+            if (broken.length > 0) {
+                logger.warn(`⚠️ ${broken.length} positions have gaps, duplicates or out-of-order sequence numbers`, {
+                    positions: broken.map(g => g.document_reference)
+                });
+            }
         }
         
         return {
@@ -121,53 +343,268 @@ class IntegratedFileProcessor {
         return await this.db.getSuppliers();
     }
 
+    async getUnits() {
+        await this.initialize();
+        if (!this.units) this.units = await this.db.getUnits();
+        return this.units;
+    }
+
+    async resolveSupplier(name) {
+        await this.initialize();
+        return this.supplierRegistry.resolve(name);
+    }
+
+    async addSupplierAlias(alias, supplierId) {
+        await this.initialize();
+        return this.supplierRegistry.addAlias(alias, supplierId);
+    }
+
     async getProductCatalog(supplierId = null) {
         await this.initialize();
         return await this.db.getProductCatalog(supplierId);
     }
 
-    async insertComponents(componentsData) {
+    importMappingTemplate(filePath, positions, facilityPositions = positions) {
+        try {
+            const entries = readMappingTemplate(filePath);
+            const { valid, problems } = validateMappingTemplate(entries, positions, facilityPositions);
+
+            logger.info(`📥 Imported mapping template: ${valid.length} valid rows, ${problems.length} problems`, { filePath });
+            return { success: true, valid, problems };
+        } catch (error) {
+            logger.error('❌ Failed to import mapping template', error);
+            return { success: false, error: error.message, valid: [], problems: [] };
+        }
+    }
+
+    exportMappingTemplate(filePath, mappings) {
+        try {
+            const count = writeMappingTemplate(filePath, mappings);
+
+            logger.info(`📤 Exported ${count} position mappings`, { filePath });
+            return { success: true, count };
+        } catch (error) {
+            logger.error('❌ Failed to export mapping template', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    async savePositionReferences(mooringId, changes) {
         await this.initialize();
-        
+
+        const positions = await this.db.getPositions(mooringId);
+        const positionIds = new Set(positions.map(p => p.Id));
         const results = [];
-        
-        for (const component of componentsData) {
+
+        for (const change of changes) {
+            if (!positionIds.has(change.positionId)) {
+                results.push({
+                    success: false,
+                    error: `Position ${change.positionId} does not belong to mooring ${mooringId}`,
+                    positionId: change.positionId
+                });
+                continue;
+            }
+
             try {
-                const componentId = await this.db.insertComponent(component);
+                await this.db.updatePositionReference(change.positionId, change.reference || null);
                 results.push({
                     success: true,
-                    componentId: componentId,
-                    positionId: component.positionId
+                    positionId: change.positionId
                 });
             } catch (error) {
-                logger.error('Failed to insert component', error);
+                logger.error('Failed to save position reference', error);
                 results.push({
                     success: false,
                     error: error.message,
-                    positionId: component.positionId
+                    positionId: change.positionId
                 });
             }
         }
-        
+
+        logger.info(`💾 Saved ${results.filter(r => r.success).length}/${changes.length} position references for mooring ${mooringId}`);
         return results;
     }
 
+    findUnit(units, text) {
+        const key = (text || '').toString().trim().toLowerCase().replace(/\.$/, '');
+        if (!key) return null;
+        return units.find(u => [u.Abbreviation, u.Name].some(v => (v || '').toString().trim().toLowerCase() === key)) || null;
+    }
+
+    // Supplier and unit come from the matched product first, then from what was extracted for the row
+    async resolveComponentReferences(componentsData) {
+        await this.initialize();
+        
+        const productsById = new Map(this.productCatalog.map(p => [p.id, p]));
+        const units = await this.getUnits();
+        const unresolved = [];
+        
+        const components = componentsData.map((component, index) => {
+            const product = productsById.get(component.productId);
+            
+            const supplierId = product?.supplierId ||
+                component.supplierId ||
+                this.supplierRegistry.resolve(component.manufacturer)?.supplierId ||
+                null;
+            
+            const unitId = this.findUnit(units, product?.unit)?.Id ||
+                component.unitId ||
+                this.findUnit(units, component.unit)?.Id ||
+                null;
+            
+            if (!supplierId) unresolved.push({ index, field: 'supplier', value: component.manufacturer || '' });
+            if (!unitId) unresolved.push({ index, field: 'unit', value: component.unit || product?.unit || '' });
+            
+            return { ...component, supplierId, unitId };
+        });
+        
+        if (unresolved.length > 0) {
+            logger.warn(`⚠️ ${unresolved.length} supplier/unit references could not be resolved for insertion`);
+        }
+        
+        return { components, unresolved };
+    }
+
+    // Classifies each component as new, identical or changed against what is already stored on its position
+    async findExistingComponents(componentsData) {
+        await this.initialize();
+        
+        const positionIds = [...new Set(componentsData.map(c => c.positionId))];
+        const existing = await this.db.getComponentsByPositions(positionIds);
+        const review = classifyComponents(componentsData, existing);
+        
+        logger.info(`🔁 Duplicate check: ${review.summary.new} new, ${review.summary.identical} identical, ${review.summary.changed} changed, ${review.unmatched.length} stored only`);
+        return review;
+    }
+
+    // Inserts the extracted chain and retires each stored component it matched, linked to its replacement.
+    // Stored components without a counterpart are only removed when listed in removeIds, which the user confirmed
+    async replacePositionContents(componentsData, removeIds = []) {
+        const review = await this.findExistingComponents(componentsData);
+        const actions = review.entries.map(entry => entry.existing
+            ? { action: 'replace', existingId: entry.existing.Id }
+            : { action: 'insert' });
+        
+        const unmatchedIds = new Set(review.unmatched.map(e => e.Id));
+        const notUnmatched = removeIds.filter(id => !unmatchedIds.has(id));
+        if (notUnmatched.length > 0) {
+            logger.warn(`Ignoring removal of components ${notUnmatched.join(', ')}: they are not stored-only components on these positions`);
+        }
+        
+        return this.insertComponents(componentsData, actions, { remove: removeIds.filter(id => unmatchedIds.has(id)) });
+    }
+
+    // One transaction per submission: every written row gets the same batch id, or nothing is written.
+    // actions[i] is { action: 'insert' | 'skip' | 'update' | 'replace', existingId }; without it every row is inserted.
+    // options.remove lists stored components the user confirmed as taken out of the line, retired in the same transaction
+    async insertComponents(componentsData, actions = [], options = {}) {
+        await this.initialize();
+        
+        const submissionBatchId = crypto.randomUUID();
+        const actionFor = index => actions[index]?.action || 'insert';
+        const row = (component, index, extra) => ({
+            row: index + 1,
+            positionId: component.positionId,
+            productDescription: component.productDescription,
+            action: actionFor(index),
+            ...extra
+        });
+        
+        const unresolved = componentsData.map((component, index) => actionFor(index) === 'skip'
+            ? ''
+            : [!component.supplierId && 'supplier', !component.unitId && 'unit'].filter(Boolean).join(' and ')
+        );
+        if (unresolved.some(Boolean)) {
+            return {
+                success: false,
+                submissionBatchId: null,
+                error: 'Some components have no supplier or unit; nothing was inserted',
+                results: componentsData.map((component, index) => row(component, index, unresolved[index]
+                    ? { success: false, error: `No ${unresolved[index]} resolved` }
+                    : { success: false, skipped: true }))
+            };
+        }
+        
+        const operations = [
+            ...componentsData
+                .map((component, index) => ({ index, type: actionFor(index), component, existingId: actions[index]?.existingId }))
+                .filter(op => op.type !== 'skip'),
+            ...(options.remove || []).map(existingId => ({ index: null, type: 'remove', existingId }))
+        ];
+        const replaced = operations.filter(op => op.type === 'replace').length;
+        const removed = operations.filter(op => op.type === 'remove').length;
+        
+        try {
+            const componentIds = await this.db.writeComponentBatch(operations, submissionBatchId);
+            const idByIndex = new Map(operations.map((op, i) => [op.index, componentIds[i]]));
+            
+            return {
+                success: true,
+                submissionBatchId,
+                replaced,
+                removed,
+                results: componentsData.map((component, index) => row(component, index, idByIndex.has(index)
+                    ? { success: true, componentId: idByIndex.get(index) }
+                    : { success: true, skipped: true }))
+            };
+        } catch (error) {
+            const failedOperation = error.rowIndex !== null && error.rowIndex !== undefined ? operations[error.rowIndex] : null;
+            const failedIndex = failedOperation ? failedOperation.index : null;
+            
+            let message = `The submission could not be committed and was rolled back: ${error.message}`;
+            if (failedIndex !== null) {
+                message = `Row ${failedIndex + 1} failed, the whole submission was rolled back: ${error.message}`;
+            } else if (failedOperation) {
+                message = `Removing stored component ${failedOperation.existingId} failed, the whole submission was rolled back: ${error.message}`;
+            }
+            
+            return {
+                success: false,
+                submissionBatchId: null,
+                replaced: 0,
+                removed: 0,
+                error: message,
+                results: componentsData.map((component, index) => row(component, index, index === failedIndex
+                    ? { success: false, error: error.message }
+                    : { success: false, rolledBack: actionFor(index) !== 'skip', skipped: actionFor(index) === 'skip' }))
+            };
+        }
+    }
+
     getProcessingSummary(results) {
         const summary = {
             totalFiles: results.length,
             successful: results.filter(r => r.success).length,
             failed: results.filter(r => !r.success).length,
             totalPositions: 0,
+            failedPositions: 0,
+            positionsWithRuleViolations: 0,
+            positionsWithSequenceIssues: 0,
             totalComponents: 0,
+            ruleResolvedComponents: 0,
             catalogMatchedComponents: 0,
             highConfidenceMatches: 0,
             lowConfidenceMatches: 0,
             noMatches: 0,
             aiCallsMade: 0,
+            budgetFallbacks: 0,
+            cache: { hits: 0, misses: 0, hitRate: 0 },
+            usage: { calls: 0, promptTokens: 0, completionTokens: 0, cachedTokens: 0, totalTokens: 0, costUsd: 0, costNok: 0 },
             errors: []
         };
 
         results.forEach(result => {
+            summary.budgetFallbacks += result.budgetFallbacks || 0;
+            summary.cache.hits += result.cache?.hits || 0;
+            summary.cache.misses += result.cache?.misses || 0;
+            
+            if (result.usage) {
+                Object.keys(summary.usage).forEach(key => {
+                    summary.usage[key] += result.usage[key] || 0;
+                });
+            }
+            
             if (result.success && result.catalogExtraction?.success) {
                 const extractionData = result.catalogExtraction.data;
                 
@@ -175,10 +612,16 @@ class IntegratedFileProcessor {
                     summary.totalPositions += extractionData.position_groups.length;
                     
                     extractionData.position_groups.forEach(group => {
+                        if (group.extraction_status === 'failed') summary.failedPositions++;
+                        if (group.rule_violations?.length > 0) summary.positionsWithRuleViolations++;
+                        if (group.sequence_issues?.length > 0) summary.positionsWithSequenceIssues++;
+                        
                         const components = group.components || [];
                         summary.totalComponents += components.length;
                         
                         components.forEach(comp => {
+                            if (comp.provenance === 'rule' && comp.matched_product_id) summary.ruleResolvedComponents++;
+                            
                             if (comp.matched_product_id) {
                                 summary.catalogMatchedComponents++;
                                 
@@ -211,9 +654,11 @@ class IntegratedFileProcessor {
         
         summary.catalogMatchRate = `${matchRate}%`;
 
-        const estimatedTokens = summary.aiCallsMade * 1500;
-        summary.totalTokens = estimatedTokens;
-        summary.estimatedCost = ((estimatedTokens * 0.150 / 1000000) + (estimatedTokens * 0.600 / 1000000)).toFixed(4);
+        const cacheLookups = summary.cache.hits + summary.cache.misses;
+        summary.cache.hitRate = cacheLookups > 0 ? Math.round((summary.cache.hits / cacheLookups) * 1000) / 10 : 0;
+
+        summary.usage.costUsd = Math.round(summary.usage.costUsd * 10000) / 10000;
+        summary.usage.costNok = Math.round(summary.usage.costNok * 100) / 100;
 
         return summary;
     }
@@ -0,0 +1,75 @@
+// Anchors are rated by holding capacity and buoys/sinkers hang off the line, so none of them is a link in it
+const NON_LOAD_BEARING_TYPES = ['anchor', 'buoy', 'sinker'];
+
+// The catalog value is what the supplier certifies; the document value is only used for unmatched rows
+function componentMbl(component, product) {
+    if (product?.mblKg > 0) return { mblKg: product.mblKg, source: 'catalog' };
+    if (component.mbl_kg > 0) return { mblKg: component.mbl_kg, source: 'extracted' };
+    return null;
+}
+
+function analyzeLine(group, designMblKg, productsById) {
+    const links = [];
+    const unrated = [];
+
+    for (const comp of group.components || []) {
+        if (NON_LOAD_BEARING_TYPES.includes(comp.type)) continue;
+
+        const rating = componentMbl(comp, productsById.get(comp.matched_product_id));
+        if (!rating) {
+            unrated.push(comp.sequence);
+            continue;
+        }
+        links.push({ sequence: comp.sequence, description: comp.description, ...rating });
+    }
+
+    const weakest = links.reduce((min, link) => (!min || link.mblKg < min.mblKg ? link : min), null);
+
+    let status;
+    if (!weakest) {
+        status = 'unrated';
+    } else if (!(designMblKg > 0)) {
+        status = 'no_design_mbl';
+    } else if (weakest.mblKg < designMblKg) {
+        status = 'below_design';
+    } else if (unrated.length > 0) {
+        status = 'incomplete';
+    } else {
+        status = 'ok';
+    }
+
+    return {
+        positionId: group.position_id,
+        internalPosition: group.internal_position,
+        documentReference: group.document_reference,
+        designMblKg: designMblKg > 0 ? designMblKg : null,
+        weakest,
+        utilization: weakest && designMblKg > 0 ? Math.round((designMblKg / weakest.mblKg) * 1000) / 10 : null,
+        unratedSequences: unrated,
+        status
+    };
+}
+
+// Only mapped positions have a design MBL to check against
+function analyzeLineStrength(results, positionMappings = [], productCatalog = []) {
+    const productsById = new Map(productCatalog.map(p => [p.id, p]));
+    const lines = [];
+
+    results.forEach(result => {
+        if (!result.success || !result.catalogExtraction?.success) return;
+
+        (result.catalogExtraction.data.position_groups || []).forEach(group => {
+            if (!group.position_id) return;
+
+            const mapping = positionMappings.find(m => m.positionId === group.position_id);
+            lines.push(analyzeLine(group, mapping?.designMblKg, productsById));
+        });
+    });
+
+    return lines;
+}
+
+module.exports = {
+    analyzeLine,
+    analyzeLineStrength
+};
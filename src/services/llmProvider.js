@@ -0,0 +1,164 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const OpenAI = require('openai');
+require('dotenv').config();
+const logger = require('../utils/logger');
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_LOCAL_URL = 'http://localhost:11434/v1';
+
+function readNumber(value) {
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+function getLlmConfig(overrides = {}) {
+    return {
+        provider: (process.env.LLM_PROVIDER || 'openai').toLowerCase(),
+        model: process.env.LLM_MODEL || DEFAULT_MODEL,
+        temperature: readNumber(process.env.LLM_TEMPERATURE),
+        maxTokens: readNumber(process.env.LLM_MAX_TOKENS),
+        baseURL: process.env.LLM_BASE_URL || null,
+        apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+        mockFile: process.env.LLM_MOCK_FILE || path.join(process.cwd(), 'data', 'llm-recordings.json'),
+        ...overrides
+    };
+}
+
+// Recordings are keyed on the conversation only, so they replay regardless of model or sampling settings
+function requestKey(messages) {
+    return crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex');
+}
+
+class OpenAIProvider {
+    constructor(config) {
+        this.name = config.provider;
+        this.model = config.model;
+        this.config = config;
+        this.client = null;
+    }
+
+    // Built on first use so extractors can be created offline; a missing key fails the call, which callers fall back from
+    getClient() {
+        if (this.client) return this.client;
+
+        if (!this.config.apiKey && !this.config.baseURL) {
+            throw new Error('No API key configured for the LLM provider (set LLM_API_KEY or OPENAI_API_KEY)');
+        }
+
+        this.client = new OpenAI({
+            apiKey: this.config.apiKey || 'local',
+            baseURL: this.config.baseURL || undefined,
+            // Retries and backoff are handled by the request scheduler
+            maxRetries: 0,
+            dangerouslyAllowBrowser: true
+        });
+        return this.client;
+    }
+
+    async complete({ messages, temperature = 0, maxTokens = 1000 }) {
+        const response = await this.getClient().chat.completions.create({
+            model: this.model,
+            messages,
+            temperature: this.config.temperature ?? temperature,
+            max_tokens: this.config.maxTokens ? Math.min(this.config.maxTokens, maxTokens) : maxTokens
+        });
+
+        return {
+            content: response.choices?.[0]?.message?.content || '',
+            usage: response.usage || null,
+            model: response.model || this.model
+        };
+    }
+}
+
+class MockProvider {
+    constructor(config) {
+        this.name = 'mock';
+        this.model = config.model;
+        this.file = config.mockFile;
+        this.recordings = null;
+    }
+
+    loadRecordings() {
+        if (!this.recordings) {
+            this.recordings = fs.existsSync(this.file)
+                ? JSON.parse(fs.readFileSync(this.file, 'utf8'))
+                : {};
+        }
+        return this.recordings;
+    }
+
+    async complete({ messages }) {
+        const key = requestKey(messages);
+        const recording = this.loadRecordings()[key];
+
+        if (!recording) {
+            throw new Error(`No recorded LLM response for request ${key.slice(0, 12)} in ${this.file}`);
+        }
+
+        return {
+            content: recording.content,
+            usage: recording.usage || null,
+            model: recording.model || this.model
+        };
+    }
+}
+
+class RecordingProvider extends MockProvider {
+    constructor(config, inner) {
+        super(config);
+        this.name = `record:${inner.name}`;
+        this.model = inner.model;
+        this.inner = inner;
+    }
+
+    async complete(request) {
+        const response = await this.inner.complete(request);
+        const recordings = this.loadRecordings();
+
+        recordings[requestKey(request.messages)] = {
+            recordedAt: new Date().toISOString(),
+            prompt: request.messages[request.messages.length - 1].content.slice(0, 200),
+            ...response
+        };
+
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+        fs.writeFileSync(this.file, JSON.stringify(recordings, null, 2));
+        return response;
+    }
+}
+
+function createLlmProvider(overrides = {}) {
+    const config = getLlmConfig(overrides);
+
+    let provider;
+    switch (config.provider) {
+        case 'openai':
+            provider = new OpenAIProvider(config);
+            break;
+        case 'local':
+            provider = new OpenAIProvider({ ...config, baseURL: config.baseURL || DEFAULT_LOCAL_URL });
+            break;
+        case 'mock':
+            provider = new MockProvider(config);
+            break;
+        case 'record':
+            provider = new RecordingProvider(config, new OpenAIProvider({ ...config, provider: config.baseURL ? 'local' : 'openai' }));
+            break;
+        default:
+            throw new Error(`Unknown LLM provider: ${config.provider}`);
+    }
+
+    logger.info(`🤖 LLM provider: ${provider.name} (${provider.model})`);
+    return provider;
+}
+
+module.exports = {
+    getLlmConfig,
+    createLlmProvider,
+    OpenAIProvider,
+    MockProvider,
+    RecordingProvider
+};
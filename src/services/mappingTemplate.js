@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const { readWorkbook } = require('./spreadsheetReader');
+const { normalizeReference } = require('./positionSuggester');
+
+const TEMPLATE_COLUMNS = {
+    documentReference: ['documentreference', 'docref', 'reference', 'referanse', 'dokumentreferanse'],
+    internalPosition: ['internalposition', 'position', 'posisjon', 'internposisjon', 'internal']
+};
+
+function normalizeHeader(header) {
+    return (header || '').toString().toLowerCase().replace(/[^a-zæøå]/g, '');
+}
+
+function findColumn(headers, candidates) {
+    return headers.find(header => candidates.includes(normalizeHeader(header))) || null;
+}
+
+function readMappingTemplate(filePath) {
+    const workbook = readWorkbook(filePath);
+    const worksheet = workbook.Sheets[workbook.SheetNames[0]];
+    const rows = XLSX.utils.sheet_to_json(worksheet, { defval: '', raw: false });
+    if (rows.length === 0) return [];
+
+    const headers = Object.keys(rows[0]);
+    const referenceColumn = findColumn(headers, TEMPLATE_COLUMNS.documentReference);
+    const positionColumn = findColumn(headers, TEMPLATE_COLUMNS.internalPosition);
+
+    if (!referenceColumn || !positionColumn) {
+        throw new Error('Template must have a documentReference and an internalPosition column');
+    }
+
+    return rows
+        .map(row => ({
+            row: row.__rowNum__ + 1,
+            documentReference: row[referenceColumn].toString().trim(),
+            internalPosition: row[positionColumn].toString().trim()
+        }))
+        .filter(entry => entry.documentReference || entry.internalPosition);
+}
+
+// positions are the ones offered for mapping; facilityPositions are all positions at the facility,
+// whose current references must not be claimed twice
+function validateMappingTemplate(entries, positions, facilityPositions = positions) {
+    const positionName = p => (p.Name || '').toString().trim();
+    const positionsByName = new Map(positions.map(p => [positionName(p), p]));
+    const facilityNames = new Set(facilityPositions.map(positionName));
+    // A position the template maps gives up its current reference, so that reference is free to move
+    const remappedNames = new Set(entries.map(e => e.internalPosition));
+    const seenReferences = new Set();
+    const seenPositions = new Set();
+    const valid = [];
+    const problems = [];
+
+    for (const entry of entries) {
+        const position = positionsByName.get(entry.internalPosition);
+        const reference = normalizeReference(entry.documentReference);
+        const owner = position && facilityPositions.find(p =>
+            p.Id !== position.Id &&
+            !remappedNames.has(positionName(p)) &&
+            normalizeReference(p.Reference) === reference
+        );
+        let message = null;
+
+        if (!entry.documentReference || !entry.internalPosition) {
+            message = 'Missing document reference or internal position';
+        } else if (!position) {
+            message = facilityNames.has(entry.internalPosition)
+                ? `Position ${entry.internalPosition} is not one of the positions offered for mapping`
+                : `Position ${entry.internalPosition} does not exist in this mooring`;
+        } else if (owner) {
+            message = `Document reference ${entry.documentReference} is already mapped to position ${positionName(owner)}`;
+        } else if (seenReferences.has(reference)) {
+            message = `Document reference ${entry.documentReference} is used more than once`;
+        } else if (seenPositions.has(position.Id)) {
+            message = `Position ${entry.internalPosition} is mapped more than once`;
+        }
+
+        if (message) {
+            problems.push({ ...entry, message });
+            continue;
+        }
+
+        seenReferences.add(reference);
+        seenPositions.add(position.Id);
+        valid.push({ ...entry, positionId: position.Id });
+    }
+
+    return { valid, problems };
+}
+
+function writeMappingTemplate(filePath, mappings) {
+    const rows = mappings.map(m => ({
+        documentReference: m.documentReference,
+        internalPosition: m.internalPosition
+    }));
+    const worksheet = XLSX.utils.json_to_sheet(rows, { header: ['documentReference', 'internalPosition'] });
+
+    if (path.extname(filePath).toLowerCase() === '.csv') {
+        // BOM so Excel opens æøå correctly; semicolon is what Norwegian Excel expects
+        fs.writeFileSync(filePath, '\ufeff' + XLSX.utils.sheet_to_csv(worksheet, { FS: ';' }));
+        return rows.length;
+    }
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'Position mapping');
+    XLSX.writeFile(workbook, filePath);
+    return rows.length;
+}
+
+module.exports = {
+    readMappingTemplate,
+    validateMappingTemplate,
+    writeMappingTemplate
+};
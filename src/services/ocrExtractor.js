@@ -0,0 +1,114 @@
+const fs = require('fs');
+const { createWorker } = require('tesseract.js');
+const { groupItemsIntoLines, buildTablesFromLines } = require('./tableLayout');
+const logger = require('../utils/logger');
+
+class OcrExtractor {
+    constructor(options = {}) {
+        this.languages = options.languages || process.env.OCR_LANGUAGES || 'nor+eng';
+        this.langPath = options.langPath || process.env.OCR_LANG_PATH || undefined;
+        this.renderScale = options.renderScale || 2.5;
+        this.worker = null;
+    }
+
+    async getWorker() {
+        if (this.worker) return this.worker;
+
+        logger.info(`🔤 Starting OCR worker (${this.languages})`);
+        this.worker = await createWorker(this.languages, 1, this.langPath ? { langPath: this.langPath } : {});
+        await this.worker.setParameters({ preserve_interword_spaces: '1' });
+        return this.worker;
+    }
+
+    async terminate() {
+        if (this.worker) {
+            await this.worker.terminate();
+            this.worker = null;
+        }
+    }
+
+    async recognize(image) {
+        const worker = await this.getWorker();
+        const { data } = await worker.recognize(image);
+
+        return (data.words || [])
+            .filter(word => word.text && word.text.trim())
+            .map(word => ({
+                text: word.text.trim(),
+                x: word.bbox.x0,
+                y: word.bbox.y0,
+                width: word.bbox.x1 - word.bbox.x0,
+                height: word.bbox.y1 - word.bbox.y0,
+                confidence: word.confidence / 100
+            }));
+    }
+
+    async extractTablesFromImage(filePath) {
+        try {
+            logger.info(`🔤 Running OCR on image: ${filePath}`);
+            const items = await this.recognize(fs.readFileSync(filePath));
+            const tables = buildTablesFromLines([{ name: 'Image', lines: groupItemsIntoLines(items) }]);
+
+            logger.info(`🔤 OCR recovered ${tables.reduce((s, t) => s + t.rows.length, 0)} rows, mean confidence ${this.meanConfidence(items)}`);
+            return { tables };
+        } finally {
+            await this.terminate();
+        }
+    }
+
+    async recognizePdfPages(filePath, pageNumbers) {
+        const pdfjs = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+        pdfjs.disableWorker = true;
+
+        const doc = await pdfjs.getDocument(new Uint8Array(fs.readFileSync(filePath)));
+        const pages = [];
+
+        try {
+            for (const pageNumber of pageNumbers) {
+                logger.info(`🔤 Running OCR on scanned PDF page ${pageNumber}`);
+                const page = await doc.getPage(pageNumber);
+                const image = await this.rasterizePage(page);
+                const items = await this.recognize(image);
+
+                // Bring OCR pixel coordinates back to PDF units so column tolerances match text pages
+                pages.push({
+                    pageNumber,
+                    items: items.map(item => ({
+                        ...item,
+                        x: item.x / this.renderScale,
+                        y: item.y / this.renderScale,
+                        width: item.width / this.renderScale,
+                        height: item.height / this.renderScale
+                    }))
+                });
+            }
+        } finally {
+            doc.destroy();
+            await this.terminate();
+        }
+
+        return pages;
+    }
+
+    async rasterizePage(page) {
+        if (typeof document === 'undefined') {
+            throw new Error('Rasterising scanned PDF pages requires a canvas (run from the app window)');
+        }
+
+        const viewport = page.getViewport(this.renderScale);
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.ceil(viewport.width);
+        canvas.height = Math.ceil(viewport.height);
+
+        await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise;
+
+        return canvas.toDataURL('image/png');
+    }
+
+    meanConfidence(items) {
+        if (items.length === 0) return 0;
+        return (items.reduce((s, i) => s + i.confidence, 0) / items.length).toFixed(2);
+    }
+}
+
+module.exports = OcrExtractor;
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const { groupItemsIntoLines, buildTablesFromLines } = require('./tableLayout');
+const logger = require('../utils/logger');
+
+class PdfExtractor {
+    constructor(ocrExtractor = null) {
+        this.ocrExtractor = ocrExtractor;
+    }
+
+    async extractPages(filePath) {
+        // pdf.js reads the underlying ArrayBuffer, so small pooled Buffers must be copied out first
+        const data = new Uint8Array(fs.readFileSync(filePath));
+        const pages = [];
+
+        await pdfParse(data, {
+            pagerender: async (pageData) => {
+                const viewport = pageData.getViewport(1.0);
+                const textContent = await pageData.getTextContent({
+                    normalizeWhitespace: true,
+                    disableCombineTextItems: false
+                });
+
+                const items = textContent.items
+                    .filter(item => item.str && item.str.trim())
+                    .map(item => ({
+                        text: item.str.trim(),
+                        x: item.transform[4],
+                        y: viewport.height - item.transform[5],
+                        width: item.width,
+                        height: Math.abs(item.transform[3]) || item.height
+                    }));
+
+                pages.push({ pageNumber: pageData.pageNumber, items });
+                return '';
+            }
+        });
+
+        return pages.sort((a, b) => a.pageNumber - b.pageNumber);
+    }
+
+    async extractTables(filePath) {
+        const pages = await this.extractPages(filePath);
+        const textPages = pages.filter(page => page.items.length > 0);
+        const scannedPages = pages.filter(page => page.items.length === 0);
+
+        logger.info(`📄 PDF has ${pages.length} pages, ${textPages.length} with a text layer`);
+
+        let ocrPages = [];
+        if (scannedPages.length > 0 && this.ocrExtractor) {
+            ocrPages = await this.ocrExtractor.recognizePdfPages(filePath, scannedPages.map(page => page.pageNumber));
+        }
+
+        const readablePages = [...textPages, ...ocrPages].sort((a, b) => a.pageNumber - b.pageNumber);
+
+        if (readablePages.length === 0) {
+            throw new Error('PDF has no text layer (scanned document?)');
+        }
+
+        const tables = buildTablesFromLines(readablePages.map(page => ({
+            name: `Page ${page.pageNumber}`,
+            lines: groupItemsIntoLines(page.items)
+        })));
+
+        logger.info(`📄 Recovered ${tables.length} tables, ${tables.reduce((s, t) => s + t.rows.length, 0)} rows from PDF`);
+
+        return { pageCount: pages.length, ocrPageCount: ocrPages.length, tables };
+    }
+}
+
+module.exports = PdfExtractor;
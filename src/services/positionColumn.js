@@ -0,0 +1,16 @@
+// Anchored so columns like "Serienummer" or "Identifikasjonsnummer" are not taken for the position column
+const POSITION_COLUMN_PATTERN = /^(navn\s*\/\s*)?nummer$|^navn\b|posisjon|position|^(line|linje)\b/i;
+
+function isPositionColumn(name) {
+    return POSITION_COLUMN_PATTERN.test((name || '').toString().trim());
+}
+
+function findPositionColumn(names) {
+    return names.find(isPositionColumn) || null;
+}
+
+module.exports = {
+    POSITION_COLUMN_PATTERN,
+    isPositionColumn,
+    findPositionColumn
+};
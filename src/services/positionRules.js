@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const { POSITION_SERIES, classifyPositionType, getPositionSeries } = require('./positionTypes');
+const { compareSequences } = require('./sequenceIntegrity');
+const logger = require('../utils/logger');
+
+// Same rules the batch prompt states; override or extend per type with POSITION_RULES_FILE.
+// forbidden: types that must not appear, allowed: if set, the only types that may appear,
+// order: types that must appear in this order (types not listed, like shackles between them, are ignored)
+const DEFAULT_POSITION_RULES = {
+    'fortøyningslinje': { label: 'Mooring line', forbidden: [], allowed: null, order: ['anchor', 'chain', 'rope'] },
+    koblingspunkt: { label: 'Connection point', forbidden: ['anchor'], allowed: null, order: [] },
+    sideline: { label: 'Bridle', forbidden: ['anchor'], allowed: null, order: [] },
+    ramme: { label: 'Frame line', forbidden: ['anchor', 'bolt'], allowed: null, order: [] }
+};
+
+// Position types as they appear in the database or in older mapping files
+const POSITION_TYPE_ALIASES = [
+    { type: 'fortøyningslinje', keywords: ['mooring_lines', 'mooring line', 'fortøyningsl', 'hovedfortøyning'] },
+    { type: 'koblingspunkt', keywords: ['buoys', 'koblingspunkt', 'hjørne', 'connection'] },
+    { type: 'sideline', keywords: ['bridles', 'bridle', 'sideline', 'hanefot'] },
+    { type: 'ramme', keywords: ['frame_lines', 'frame line', 'ramme'] }
+];
+
+function loadPositionRules(filePath = process.env.POSITION_RULES_FILE || path.join(process.cwd(), 'data', 'position-rules.json')) {
+    try {
+        if (!filePath || !fs.existsSync(filePath)) return { ...DEFAULT_POSITION_RULES };
+
+        const overrides = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const rules = { ...DEFAULT_POSITION_RULES };
+        for (const [type, rule] of Object.entries(overrides)) {
+            rules[type] = { forbidden: [], allowed: null, order: [], ...DEFAULT_POSITION_RULES[type], ...rule };
+        }
+        return rules;
+    } catch (error) {
+        logger.error('Failed to read position rules, using defaults', { file: filePath, error: error.message });
+        return { ...DEFAULT_POSITION_RULES };
+    }
+}
+
+function normalizePositionType(value) {
+    const text = (value || '').toString().trim().toLowerCase();
+    if (!text) return null;
+
+    const alias = POSITION_TYPE_ALIASES.find(a => a.keywords.some(k => text.includes(k)));
+    return alias ? alias.type : null;
+}
+
+function resolvePositionType(group, mapping) {
+    const fromMapping = normalizePositionType(mapping?.positionType);
+    if (fromMapping) return { type: fromMapping, source: 'mapping' };
+
+    const series = getPositionSeries(mapping?.internalPosition ?? group.internal_position);
+    const seriesEntry = Object.values(POSITION_SERIES).find(entry => entry.series === series);
+    if (seriesEntry) return { type: seriesEntry.type, source: 'internal_number' };
+
+    return { type: classifyPositionType(group.document_reference), source: 'document_reference' };
+}
+
+function checkPositionRules(components, rule) {
+    const violations = [];
+    const ordered = [...components].sort((a, b) => compareSequences(a.sequence, b.sequence));
+
+    for (const comp of ordered) {
+        if (!comp.type || comp.type === 'unknown') continue;
+
+        if ((rule.forbidden || []).includes(comp.type)) {
+            violations.push({
+                rule: 'forbidden_type',
+                sequence: comp.sequence,
+                message: `${rule.label} must not contain ${comp.type} (sequence ${comp.sequence}: "${comp.description}")`
+            });
+        } else if (rule.allowed && !rule.allowed.includes(comp.type)) {
+            violations.push({
+                rule: 'type_not_allowed',
+                sequence: comp.sequence,
+                message: `${comp.type} is not expected in a ${rule.label.toLowerCase()} (sequence ${comp.sequence}: "${comp.description}")`
+            });
+        }
+    }
+
+    const order = rule.order || [];
+    let previous = null;
+    for (const comp of ordered) {
+        const rank = order.indexOf(comp.type);
+        if (rank === -1) continue;
+
+        if (previous && rank < previous.rank) {
+            violations.push({
+                rule: 'order',
+                sequence: comp.sequence,
+                message: `${comp.type} at sequence ${comp.sequence} comes after ${previous.type} at sequence ${previous.sequence}; expected order is ${order.join(' → ')}`
+            });
+        } else {
+            previous = { rank, type: comp.type, sequence: comp.sequence };
+        }
+    }
+
+    return violations;
+}
+
+function validatePositionGroup(group, mapping, rules) {
+    const { type, source } = resolvePositionType(group, mapping);
+    const rule = rules[type];
+
+    return {
+        ...group,
+        position_type: type,
+        position_type_source: source,
+        rule_violations: rule ? checkPositionRules(group.components || [], rule) : []
+    };
+}
+
+function validatePositionGroups(groups, positionMappings = [], rules = DEFAULT_POSITION_RULES) {
+    return groups.map(group => {
+        const mapping = positionMappings.find(m =>
+            (m.documentReference || '').toLowerCase() === (group.document_reference || '').toLowerCase()
+        );
+        return validatePositionGroup(group, mapping, rules);
+    });
+}
+
+module.exports = {
+    DEFAULT_POSITION_RULES,
+    loadPositionRules,
+    normalizePositionType,
+    resolvePositionType,
+    validatePositionGroup,
+    validatePositionGroups
+};
@@ -0,0 +1,68 @@
+const { POSITION_SERIES, parsePositionReference, getPositionSeries } = require('./positionTypes');
+
+function normalizeReference(reference) {
+    return (reference || '').toString().trim().toUpperCase();
+}
+
+function compareReferences(a, b) {
+    return (a.parsed.number - b.parsed.number) || a.parsed.suffix.localeCompare(b.parsed.suffix);
+}
+
+function suggestPositionMappings(references, positions) {
+    const taken = new Set(positions.filter(p => p.Reference && p.Reference.trim()).map(p => normalizeReference(p.Reference)));
+    const openReferences = [...new Set(references.map(normalizeReference))]
+        .filter(reference => reference && !taken.has(reference))
+        .map(reference => ({ reference, parsed: parsePositionReference(reference) }))
+        .filter(r => r.parsed && r.parsed.series !== null);
+    const openPositions = positions.filter(p => !p.Reference || !p.Reference.trim());
+    const suggestions = [];
+
+    for (const { series } of Object.values(POSITION_SERIES)) {
+        const seriesReferences = openReferences.filter(r => r.parsed.series === series).sort(compareReferences);
+        let slots = openPositions
+            .filter(p => getPositionSeries(p.Name) === series)
+            .sort((a, b) => parseInt(a.Name, 10) - parseInt(b.Name, 10));
+
+        const numberCounts = {};
+        seriesReferences.forEach(r => { numberCounts[r.parsed.number] = (numberCounts[r.parsed.number] || 0) + 1; });
+
+        // H07 → 107 when the number is unambiguous, otherwise fill the remaining positions in document order
+        const unmatched = [];
+        for (const r of seriesReferences) {
+            const slot = numberCounts[r.parsed.number] === 1
+                ? slots.find(p => parseInt(p.Name, 10) === series + r.parsed.number)
+                : null;
+
+            if (slot) {
+                suggestions.push({ positionId: slot.Id, positionName: slot.Name, documentReference: r.reference, method: 'number' });
+                slots = slots.filter(p => p !== slot);
+            } else {
+                unmatched.push(r);
+            }
+        }
+
+        unmatched.forEach((r, index) => {
+            const slot = slots[index];
+            if (slot) {
+                suggestions.push({ positionId: slot.Id, positionName: slot.Name, documentReference: r.reference, method: 'order' });
+            }
+        });
+    }
+
+    return suggestions;
+}
+
+function findUnassigned(references, positions) {
+    const assigned = new Set(positions.filter(p => p.Reference && p.Reference.trim()).map(p => normalizeReference(p.Reference)));
+
+    return {
+        references: references.filter(r => !assigned.has(normalizeReference(r.reference || r))),
+        positions: positions.filter(p => !p.Reference || !p.Reference.trim())
+    };
+}
+
+module.exports = {
+    normalizeReference,
+    suggestPositionMappings,
+    findUnassigned
+};
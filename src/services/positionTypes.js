@@ -0,0 +1,49 @@
+// Document prefixes and the internal position series they map to (H01A → 1xx, K03 → 3xx, ...)
+const POSITION_SERIES = {
+    H: { type: 'fortøyningslinje', series: 100 },
+    K: { type: 'koblingspunkt', series: 300 },
+    S: { type: 'sideline', series: 500 },
+    R: { type: 'ramme', series: 700 }
+};
+
+const REFERENCE_PATTERN = /^([A-Z])\s*-?\s*(\d{1,3})\s*([A-Z]?)$/i;
+
+function classifyPositionType(position) {
+    const reference = (position || '').toString();
+    const parsed = parsePositionReference(reference);
+    if (parsed && POSITION_SERIES[parsed.prefix]) return POSITION_SERIES[parsed.prefix].type;
+
+    // References outside the strict form ("R12-13", "H01A1") keep the plain prefix-and-digit classification
+    const prefix = /^([A-Z])\d/i.exec(reference);
+    if (prefix && POSITION_SERIES[prefix[1].toUpperCase()]) return POSITION_SERIES[prefix[1].toUpperCase()].type;
+    if (/^A\d/i.test(reference)) return 'ankerpunkt';
+    if (/^B\d/i.test(reference)) return 'bøye';
+    if (/bur/i.test(reference)) return 'bur';
+    return 'ukjent';
+}
+
+function parsePositionReference(reference) {
+    const match = REFERENCE_PATTERN.exec((reference || '').toString().trim());
+    if (!match) return null;
+
+    const prefix = match[1].toUpperCase();
+    return {
+        prefix,
+        number: parseInt(match[2], 10),
+        suffix: match[3].toUpperCase(),
+        series: POSITION_SERIES[prefix] ? POSITION_SERIES[prefix].series : null
+    };
+}
+
+function getPositionSeries(positionName) {
+    const number = parseInt((positionName || '').toString().trim(), 10);
+    if (!Number.isFinite(number)) return null;
+    return Math.floor(number / 100) * 100;
+}
+
+module.exports = {
+    POSITION_SERIES,
+    classifyPositionType,
+    parsePositionReference,
+    getPositionSeries
+};
@@ -0,0 +1,148 @@
+const logger = require('../utils/logger');
+const { estimateTokens } = require('./usageTracker');
+
+const DEFAULT_CONCURRENCY = 3;
+const DEFAULT_MAX_RETRIES = 4;
+const DEFAULT_BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 60000;
+const WINDOW_MS = 60000;
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+function readInt(value, min = 1) {
+    const number = parseInt(value, 10);
+    return Number.isFinite(number) && number >= min ? number : null;
+}
+
+function isRetryable(error) {
+    const status = error.status || error.statusCode;
+    if (status) return status === 429 || status >= 500;
+
+    return RETRYABLE_CODES.includes(error.code) ||
+        ['APIConnectionError', 'APIConnectionTimeoutError'].includes(error.constructor?.name);
+}
+
+function describeError(error) {
+    const status = error.status || error.statusCode;
+    return status ? `HTTP ${status}` : (error.code || error.message);
+}
+
+function retryAfterMs(error) {
+    const headers = error.headers || {};
+    const value = typeof headers.get === 'function' ? headers.get('retry-after') : headers['retry-after'];
+    const seconds = parseFloat(value);
+    return Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+// OpenAI counts max_tokens against the per-minute limit when a request is admitted, so we do the same
+function requestTokens({ messages = [], maxTokens = 1000 }) {
+    return messages.reduce((sum, m) => sum + estimateTokens(m.content), 0) + maxTokens;
+}
+
+class RequestScheduler {
+    constructor(options = {}) {
+        this.concurrency = options.concurrency || readInt(process.env.LLM_CONCURRENCY) || DEFAULT_CONCURRENCY;
+        this.tokensPerMinute = options.tokensPerMinute || readInt(process.env.LLM_TOKENS_PER_MINUTE);
+        this.maxRetries = options.maxRetries ?? readInt(process.env.LLM_MAX_RETRIES, 0) ?? DEFAULT_MAX_RETRIES;
+        this.baseDelayMs = options.baseDelayMs ?? DEFAULT_BASE_DELAY_MS;
+        this.sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+        this.active = 0;
+        this.waiting = [];
+        this.tokenWindow = [];
+        this.listener = null;
+    }
+
+    setListener(listener) {
+        this.listener = listener;
+    }
+
+    emit(event) {
+        if (!this.listener) return;
+        try {
+            this.listener(event);
+        } catch (error) {
+            logger.warn('Scheduler listener failed', { error: error.message });
+        }
+    }
+
+    acquire() {
+        if (this.active < this.concurrency) {
+            this.active++;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => this.waiting.push(resolve));
+    }
+
+    release() {
+        const next = this.waiting.shift();
+        if (next) {
+            next();
+        } else {
+            this.active--;
+        }
+    }
+
+    async waitForTokens(tokens) {
+        if (!this.tokensPerMinute) return;
+
+        for (;;) {
+            const now = Date.now();
+            this.tokenWindow = this.tokenWindow.filter(entry => now - entry.at < WINDOW_MS);
+            const used = this.tokenWindow.reduce((sum, entry) => sum + entry.tokens, 0);
+
+            // A request larger than the whole limit can only go through on an empty window
+            if (used + tokens <= this.tokensPerMinute || this.tokenWindow.length === 0) return;
+
+            const delayMs = this.tokenWindow[0].at + WINDOW_MS - now;
+            logger.info(`⏳ Token limit of ${this.tokensPerMinute}/min reached, waiting ${Math.ceil(delayMs / 1000)} s`);
+            await this.sleep(delayMs);
+        }
+    }
+
+    retryDelay(error, attempt) {
+        const serverDelay = retryAfterMs(error);
+        if (serverDelay !== null) return Math.min(serverDelay, MAX_DELAY_MS);
+
+        const backoff = this.baseDelayMs * Math.pow(2, attempt - 1);
+        return Math.min(backoff + Math.random() * this.baseDelayMs, MAX_DELAY_MS);
+    }
+
+    async complete(llm, request, label = 'AI request') {
+        return this.run(() => llm.complete(request), { label, tokens: requestTokens(request) });
+    }
+
+    async run(task, { label = 'AI request', tokens = 0 } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            let delayMs;
+            await this.acquire();
+
+            try {
+                await this.waitForTokens(tokens);
+                const windowEntry = { at: Date.now(), tokens };
+                this.tokenWindow.push(windowEntry);
+
+                try {
+                    const result = await task();
+                    if (result?.usage?.total_tokens) windowEntry.tokens = result.usage.total_tokens;
+                    this.emit({ type: 'done', label, retries: attempt });
+                    return result;
+                } catch (error) {
+                    if (!isRetryable(error) || attempt >= this.maxRetries) {
+                        this.emit({ type: 'failed', label, retries: attempt, error: describeError(error) });
+                        throw error;
+                    }
+
+                    delayMs = Math.round(this.retryDelay(error, attempt + 1));
+                    logger.warn(`🔁 ${label} failed with ${describeError(error)}, retry ${attempt + 1}/${this.maxRetries} in ${delayMs} ms`);
+                    this.emit({ type: 'retry', label, retries: attempt + 1, delayMs, error: describeError(error) });
+                }
+            } finally {
+                this.release();
+            }
+
+            // The slot is given up while backing off, so a burst of 429s does not also stall the queued requests
+            await this.sleep(delayMs);
+        }
+    }
+}
+
+module.exports = RequestScheduler;
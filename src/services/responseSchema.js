@@ -0,0 +1,95 @@
+const { KNOWN_COMPONENT_TYPES } = require('./componentTypes');
+const { parseSequence } = require('./sequenceIntegrity');
+
+const NUMBER_FIELDS = ['quantity'];
+const OPTIONAL_NUMBER_FIELDS = ['mbl_kg', 'match_confidence'];
+const OPTIONAL_STRING_FIELDS = ['manufacturer', 'match_reason', 'tracking_number', 'unit', 'installation_date', 'notes'];
+
+function parseJsonResponse(text) {
+    const cleaned = (text || '').replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+    try {
+        return { parsed: JSON.parse(cleaned), error: null };
+    } catch (error) {
+        return { parsed: null, error: `Response is not valid JSON (${error.message})` };
+    }
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+function validateComponent(component, index, allowedProductIds) {
+    const errors = [];
+    const at = `component ${index + 1}`;
+
+    if (!component || typeof component !== 'object' || Array.isArray(component)) {
+        return [`${at} is not an object`];
+    }
+
+    if (!KNOWN_COMPONENT_TYPES.includes(component.type)) {
+        errors.push(`${at}: type "${component.type}" is not one of ${KNOWN_COMPONENT_TYPES.join(', ')}`);
+    }
+    if (typeof component.description !== 'string' || !component.description.trim()) {
+        errors.push(`${at}: description must be a non-empty string`);
+    }
+
+    if (!isNumber(component.sequence) && !(typeof component.sequence === 'string' && parseSequence(component.sequence))) {
+        errors.push(`${at}: sequence must be a number or a sub-sequence like "3.1"`);
+    }
+    for (const field of NUMBER_FIELDS) {
+        if (!isNumber(component[field])) errors.push(`${at}: ${field} must be a number`);
+    }
+    for (const field of OPTIONAL_NUMBER_FIELDS) {
+        if (component[field] !== null && component[field] !== undefined && !isNumber(component[field])) {
+            errors.push(`${at}: ${field} must be a number or null`);
+        }
+    }
+    for (const field of OPTIONAL_STRING_FIELDS) {
+        if (component[field] !== null && component[field] !== undefined && typeof component[field] !== 'string') {
+            errors.push(`${at}: ${field} must be a string or null`);
+        }
+    }
+
+    if (isNumber(component.match_confidence) && (component.match_confidence < 0 || component.match_confidence > 1)) {
+        errors.push(`${at}: match_confidence must be between 0 and 1`);
+    }
+
+    const productId = component.matched_product_id;
+    if (productId !== null && productId !== undefined && !allowedProductIds.has(productId)) {
+        errors.push(`${at}: matched_product_id ${productId} is not in the product catalog that was provided`);
+    }
+
+    return errors;
+}
+
+// Checks every requested position in a batch response; valid positions can be used even if others fail
+function validateBatchResponse(parsed, positionRefs, allowedProductIds) {
+    const results = {};
+
+    for (const positionRef of positionRefs) {
+        const positionData = parsed && typeof parsed === 'object'
+            ? parsed[positionRef] || parsed[positionRef.toUpperCase()] || parsed[positionRef.toLowerCase()]
+            : null;
+
+        if (!positionData) {
+            results[positionRef] = { components: [], errors: [`position ${positionRef} is missing from the response`] };
+            continue;
+        }
+
+        if (!Array.isArray(positionData.components)) {
+            results[positionRef] = { components: [], errors: [`position ${positionRef}: "components" must be an array`] };
+            continue;
+        }
+
+        const errors = positionData.components.flatMap((component, index) => validateComponent(component, index, allowedProductIds));
+        results[positionRef] = { components: positionData.components, errors };
+    }
+
+    return results;
+}
+
+module.exports = {
+    parseJsonResponse,
+    validateComponent,
+    validateBatchResponse
+};
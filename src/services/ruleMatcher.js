@@ -0,0 +1,71 @@
+const MIN_NUMBER_LENGTH = 4;
+// Exact type and spec agreement; approximate spec matches are capped below this by the catalog matcher
+const UNIQUE_SPEC_CONFIDENCE = 0.9;
+
+function normalizeKey(value) {
+    return (value ?? '').toString().trim().toUpperCase().replace(/\s+/g, '');
+}
+
+function normalizeDescription(value) {
+    return (value ?? '').toString().toLowerCase().replace(/[^a-z0-9æøå,.]+/g, ' ').trim();
+}
+
+function indexBy(products, keyOf) {
+    const index = new Map();
+    for (const product of products) {
+        const key = keyOf(product);
+        if (!key) continue;
+        if (!index.has(key)) index.set(key, []);
+        index.get(key).push(product);
+    }
+    return index;
+}
+
+class RuleMatcher {
+    constructor(productCatalog = [], matcher) {
+        this.matcher = matcher;
+        this.byNumber = indexBy(productCatalog, p => {
+            const key = normalizeKey(p.internalNumber);
+            return key.length >= MIN_NUMBER_LENGTH ? key : null;
+        });
+        this.byDescription = indexBy(productCatalog, p => normalizeDescription(p.description));
+    }
+
+    // Returns the product only when exactly one catalog entry fits; anything ambiguous is left to the model
+    resolve(component, cells = []) {
+        for (const cell of cells) {
+            const products = this.byNumber.get(normalizeKey(cell));
+            if (products && products.length === 1) {
+                return { product: products[0], rule: 'internal_number', confidence: 1.0, reason: `Rule: internal number ${products[0].internalNumber}` };
+            }
+        }
+
+        for (const text of [component.description, ...cells]) {
+            const products = this.byDescription.get(normalizeDescription(text));
+            if (products && products.length === 1) {
+                return { product: products[0], rule: 'description', confidence: 1.0, reason: 'Rule: exact description' };
+            }
+        }
+
+        if (!component.type || component.type === 'unknown') return null;
+
+        const [best, second] = this.matcher.rank(component, 2);
+        const unique = best && !best.vetoed && best.confidence >= UNIQUE_SPEC_CONFIDENCE &&
+            (!second || second.vetoed || second.confidence < UNIQUE_SPEC_CONFIDENCE);
+        if (!unique) return null;
+
+        const { type, diameter, weight, mbl, length } = best.signals;
+        const exactSpec = [diameter, weight, mbl, length].some(signal => signal.applicable && signal.score === 1);
+        if (!type.applicable || type.score < 1 || !exactSpec) return null;
+
+        return {
+            product: this.matcher.getProduct(best.productId),
+            rule: 'spec',
+            confidence: best.confidence,
+            reason: `Rule: unique spec match (${this.matcher.describeMatch(best).replace('Local matcher: ', '')})`,
+            breakdown: best.signals
+        };
+    }
+}
+
+module.exports = RuleMatcher;
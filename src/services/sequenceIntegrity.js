@@ -0,0 +1,109 @@
+// "3", 3, "3.1", "3,1" and 3.1 all describe a place in the chain; sub-sequences hang under their parent
+function parseSequence(value) {
+    if (value === null || value === undefined) return null;
+
+    const text = value.toString().trim().replace(/,/g, '.');
+    if (!/^\d+(\.\d+)*$/.test(text)) return null;
+
+    const parts = text.split('.').map(part => parseInt(part, 10));
+    return parts.every(part => part > 0) ? parts : null;
+}
+
+// Plain sequences stay numbers; sub-sequences are kept as "3.1" strings so 3.1 and 3.10 stay apart
+function normalizeSequence(value) {
+    const parts = parseSequence(value);
+    if (!parts) return null;
+    return parts.length === 1 ? parts[0] : parts.join('.');
+}
+
+// Components without a usable sequence sort last, in their original order
+function compareSequences(a, b) {
+    const partsA = parseSequence(a);
+    const partsB = parseSequence(b);
+    if (!partsA || !partsB) return (partsA ? 0 : 1) - (partsB ? 0 : 1);
+
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+        const diff = (partsA[i] ?? 0) - (partsB[i] ?? 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+function findMissing(sequences) {
+    const children = new Map();
+
+    for (const parts of sequences) {
+        for (let depth = 0; depth < parts.length; depth++) {
+            const parent = parts.slice(0, depth).join('.');
+            if (!children.has(parent)) children.set(parent, new Set());
+            children.get(parent).add(parts[depth]);
+        }
+    }
+
+    // Runs of missing numbers are reported as one range, e.g. 3.3–3.9
+    const missing = [];
+    for (const [parent, numbers] of children) {
+        const key = n => (parent ? `${parent}.${n}` : `${n}`);
+        const max = Math.max(...numbers);
+        for (let n = 1; n < max; n++) {
+            if (numbers.has(n)) continue;
+
+            let last = n;
+            while (last + 1 < max && !numbers.has(last + 1)) last++;
+            missing.push({ from: key(n), to: key(last) });
+            n = last;
+        }
+    }
+    return missing.sort((a, b) => compareSequences(a.from, b.from));
+}
+
+// documentSequences are the sequence cells in the order the rows appear in the document, before sorting
+function checkSequenceIntegrity(components = [], documentSequences = null) {
+    const issues = [];
+    const parsed = components.map(comp => ({ comp, parts: parseSequence(comp.sequence) }));
+    const unnumbered = parsed.filter(p => !p.parts);
+
+    if (components.length > 0 && unnumbered.length === components.length) {
+        return [{ kind: 'invalid', message: 'No sequence numbers found for this position' }];
+    }
+
+    unnumbered.forEach(({ comp }) => {
+        issues.push({ kind: 'invalid', sequence: null, message: `"${comp.description}" has no valid sequence number` });
+    });
+
+    const counts = new Map();
+    parsed.filter(p => p.parts).forEach(({ parts }) => {
+        const key = parts.join('.');
+        counts.set(key, (counts.get(key) || 0) + 1);
+    });
+    for (const [key, count] of counts) {
+        if (count > 1) issues.push({ kind: 'duplicate', sequence: key, message: `Sequence ${key} is used by ${count} components` });
+    }
+
+    findMissing(parsed.filter(p => p.parts).map(p => p.parts)).forEach(({ from, to }) => {
+        issues.push(from === to
+            ? { kind: 'missing', sequence: from, message: `Sequence ${from} is missing` }
+            : { kind: 'missing', sequence: `${from}–${to}`, message: `Sequences ${from}–${to} are missing` });
+    });
+
+    let highest = null;
+    for (const value of documentSequences || []) {
+        if (!parseSequence(value)) continue;
+
+        const current = normalizeSequence(value);
+        if (highest !== null && compareSequences(current, highest) < 0) {
+            issues.push({ kind: 'out_of_order', sequence: `${current}`, message: `Sequence ${current} comes after ${highest} in the document` });
+        } else {
+            highest = current;
+        }
+    }
+
+    return issues;
+}
+
+module.exports = {
+    parseSequence,
+    normalizeSequence,
+    compareSequences,
+    checkSequenceIntegrity
+};
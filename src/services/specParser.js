@@ -0,0 +1,177 @@
+const NUMBER = '\\d{1,3}(?:[ \\u00a0.]\\d{3})+(?:,\\d+)?|\\d+(?:[.,]\\d+)?';
+const FRACTION = '(?:\\d+[ -])?\\d+\\/\\d+';
+const UNIT = 'mm|cm|meter|m|kg|tonnes|tonn|ton|t|"|”|tommer|inch|in|liter|ltr|l';
+
+const QUANTITY_PATTERN = new RegExp(
+    `(mbl|bruddstyrke|bl|wll|swl)?[\\s:=]*` +
+    `([øØ⌀]|dia\\.?|d=)?\\s*` +
+    `(${FRACTION}|${NUMBER})` +
+    `(?:\\s*(?:-|–|til)\\s*(${NUMBER}))?` +
+    `\\s*(${UNIT})?(?![a-zæøå0-9])`,
+    'gi'
+);
+
+const DIMENSION_PATTERN = new RegExp(`(${NUMBER})\\s*[x×]\\s*(${NUMBER})\\s*(m|meter)(?![a-zæøå])`, 'gi');
+
+const UNIT_FIELDS = {
+    mm: { field: 'diameter_mm', factor: 1 },
+    cm: { field: 'diameter_mm', factor: 10 },
+    '"': { field: 'diameter_mm', factor: 25.4 },
+    '”': { field: 'diameter_mm', factor: 25.4 },
+    tommer: { field: 'diameter_mm', factor: 25.4 },
+    inch: { field: 'diameter_mm', factor: 25.4 },
+    in: { field: 'diameter_mm', factor: 25.4 },
+    m: { field: 'length_m', factor: 1 },
+    meter: { field: 'length_m', factor: 1 },
+    kg: { field: 'weight_kg', factor: 1 },
+    t: { field: 'mbl_kg', factor: 1000 },
+    ton: { field: 'mbl_kg', factor: 1000 },
+    tonn: { field: 'mbl_kg', factor: 1000 },
+    tonnes: { field: 'mbl_kg', factor: 1000 },
+    l: { field: 'volume_l', factor: 1 },
+    ltr: { field: 'volume_l', factor: 1 },
+    liter: { field: 'volume_l', factor: 1 }
+};
+
+const WEIGHT_UNITS = ['kg', 't', 'ton', 'tonn', 'tonnes'];
+
+// Breaking loads are compared in kg; kN is converted at standard gravity
+const LOAD_UNIT_FACTORS = {
+    kg: 1,
+    t: 1000,
+    ton: 1000,
+    tonn: 1000,
+    tonnes: 1000,
+    kn: 1000 / 9.80665
+};
+
+// Norwegian documents use space or dot for thousands and comma for decimals ("1 700 kg", "1.700 kg", "27,5 m").
+// A dot followed by exactly three digits is only read as a thousands separator for weights and loads,
+// so "1.500 m" stays one and a half metres.
+function parseNumber(raw, unit) {
+    let text = raw.replace(/ /g, ' ').trim();
+
+    if (text.includes('/')) {
+        const [whole, fraction] = text.includes(' ') || text.includes('-') ? text.split(/[ -]/) : ['0', text];
+        const [numerator, denominator] = fraction.split('/').map(Number);
+        return Number(whole) + (denominator ? numerator / denominator : 0);
+    }
+
+    text = text.replace(/ /g, '');
+    if (/^\d{1,3}(\.\d{3})+(,\d+)?$/.test(text) && WEIGHT_UNITS.includes(unit)) {
+        text = text.replace(/\./g, '');
+    }
+    return parseFloat(text.replace(',', '.'));
+}
+
+function parseQuantities(text) {
+    const source = (text || '').toString();
+    const quantities = [];
+    let match;
+
+    QUANTITY_PATTERN.lastIndex = 0;
+    while ((match = QUANTITY_PATTERN.exec(source)) !== null) {
+        const [full, loadPrefix, diameterPrefix, first, second, rawUnit] = match;
+        if (!full.trim()) {
+            QUANTITY_PATTERN.lastIndex++;
+            continue;
+        }
+
+        let unit = rawUnit ? rawUnit.toLowerCase() : null;
+        if (!unit && diameterPrefix) unit = 'mm';
+        if (!unit || !UNIT_FIELDS[unit]) continue;
+
+        let { field, factor } = UNIT_FIELDS[unit];
+        if (loadPrefix && unit === 'kg') field = 'mbl_kg';
+        if (diameterPrefix) field = 'diameter_mm';
+
+        const min = parseNumber(first, unit) * factor;
+        const max = second ? parseNumber(second, unit) * factor : min;
+        const start = match.index + full.search(/\S/);
+
+        quantities.push({
+            field,
+            value: round((min + max) / 2),
+            min: round(min),
+            max: round(max),
+            unit,
+            text: source.slice(start, match.index + full.length).trim(),
+            start,
+            end: match.index + full.length
+        });
+    }
+
+    DIMENSION_PATTERN.lastIndex = 0;
+    while ((match = DIMENSION_PATTERN.exec(source)) !== null) {
+        const alreadyParsed = quantities.some(q => q.field === 'diameter_mm' && q.start >= match.index && q.start < match.index + match[0].length);
+        if (alreadyParsed) continue;
+
+        // "30 x 27,5m" on a chain or rope: bare first figure is the nominal diameter
+        const diameter = parseNumber(match[1], 'mm');
+        quantities.push({
+            field: 'diameter_mm',
+            value: diameter,
+            min: diameter,
+            max: diameter,
+            unit: 'mm',
+            text: match[1],
+            start: match.index,
+            end: match.index + match[1].length
+        });
+    }
+
+    return quantities.sort((a, b) => a.start - b.start);
+}
+
+function parseSpecifications(text) {
+    const quantities = parseQuantities(text);
+    const specs = {
+        diameter_mm: null,
+        length_m: null,
+        weight_kg: null,
+        mbl_kg: null,
+        volume_l: null
+    };
+
+    for (const quantity of quantities) {
+        if (!specs[quantity.field]) specs[quantity.field] = quantity;
+    }
+
+    return { ...specs, quantities };
+}
+
+function specValues(text) {
+    const specs = parseSpecifications(text);
+    const value = spec => (spec ? spec.value : null);
+    const mbl = value(specs.mbl_kg);
+
+    return {
+        diameter_mm: value(specs.diameter_mm),
+        length_m: value(specs.length_m),
+        weight_kg: value(specs.weight_kg),
+        mbl_kg: mbl,
+        capacity_t: mbl !== null ? round(mbl / 1000) : null,
+        volume_l: value(specs.volume_l)
+    };
+}
+
+// Catalog MBL comes without a unit; an unknown unit gives null so callers skip the value instead of guessing
+function loadToKg(value, unit) {
+    const factor = LOAD_UNIT_FACTORS[(unit || '').toString().trim().toLowerCase()];
+    const number = Number(value);
+    if (!factor || value === null || value === undefined || !Number.isFinite(number) || number <= 0) return null;
+    return round(number * factor);
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+    LOAD_UNIT_FACTORS,
+    loadToKg,
+    parseNumber,
+    parseQuantities,
+    parseSpecifications,
+    specValues
+};
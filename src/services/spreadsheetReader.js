@@ -0,0 +1,123 @@
+const fs = require('fs');
+const path = require('path');
+const XLSX = require('xlsx');
+const logger = require('../utils/logger');
+
+const SPREADSHEET_TYPES = {
+    '.xlsx': 'excel',
+    '.xls': 'excel',
+    '.ods': 'ods',
+    '.csv': 'csv'
+};
+
+const CSV_DELIMITERS = [';', ',', '\t', '|'];
+
+function isSpreadsheet(filePath) {
+    return !!SPREADSHEET_TYPES[path.extname(filePath).toLowerCase()];
+}
+
+function getDocumentType(filePath) {
+    return SPREADSHEET_TYPES[path.extname(filePath).toLowerCase()] || 'unknown';
+}
+
+function detectEncoding(buffer) {
+    if (buffer.length >= 3 && buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+        return 'utf-8';
+    }
+
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        return 'utf-8';
+    } catch (e) {
+        return 'windows-1252';
+    }
+}
+
+function countOutsideQuotes(line, delimiter) {
+    let count = 0;
+    let inQuotes = false;
+
+    for (const char of line) {
+        if (char === '"') inQuotes = !inQuotes;
+        else if (char === delimiter && !inQuotes) count++;
+    }
+
+    return count;
+}
+
+function detectDelimiter(text) {
+    const lines = text.split(/\r?\n/).filter(l => l.trim()).slice(0, 20);
+    if (lines.length === 0) return ';';
+
+    let best = ';';
+    let bestScore = 0;
+
+    for (const delimiter of CSV_DELIMITERS) {
+        const counts = lines.map(l => countOutsideQuotes(l, delimiter));
+        const headerCount = counts[0];
+        if (headerCount === 0) continue;
+
+        // A real delimiter splits most lines into the same number of columns as the header
+        const consistent = counts.filter(c => c === headerCount).length;
+        const score = consistent * headerCount;
+
+        if (score > bestScore) {
+            best = delimiter;
+            bestScore = score;
+        }
+    }
+
+    return best;
+}
+
+function readCsvWorkbook(filePath) {
+    const buffer = fs.readFileSync(filePath);
+    const encoding = detectEncoding(buffer);
+    const text = new TextDecoder(encoding).decode(buffer);
+    const delimiter = detectDelimiter(text);
+
+    logger.info(`📑 Reading CSV (${encoding}, delimiter "${delimiter === '\t' ? '\\t' : delimiter}")`, { filePath });
+
+    const workbook = XLSX.read(text, { type: 'string', FS: delimiter, raw: true });
+    const sheetName = path.basename(filePath, path.extname(filePath));
+    workbook.Sheets[sheetName] = workbook.Sheets[workbook.SheetNames[0]];
+    workbook.SheetNames = [sheetName];
+
+    return workbook;
+}
+
+function readWorkbook(filePath) {
+    if (getDocumentType(filePath) === 'csv') {
+        return readCsvWorkbook(filePath);
+    }
+    return XLSX.readFile(filePath);
+}
+
+function readTables(filePath, shouldSkipSheet = () => false) {
+    const workbook = readWorkbook(filePath);
+    const filterSheets = getDocumentType(filePath) !== 'csv';
+    const tables = [];
+
+    for (const sheetName of workbook.SheetNames) {
+        if (filterSheets && shouldSkipSheet(sheetName)) {
+            logger.info(`⏭️ Skipping sheet: ${sheetName}`);
+            continue;
+        }
+
+        const worksheet = workbook.Sheets[sheetName];
+        const rows = XLSX.utils.sheet_to_json(worksheet, { defval: '', raw: false });
+        tables.push({ name: sheetName, rows });
+    }
+
+    return tables;
+}
+
+module.exports = {
+    SPREADSHEET_TYPES,
+    isSpreadsheet,
+    getDocumentType,
+    detectEncoding,
+    detectDelimiter,
+    readWorkbook,
+    readTables
+};
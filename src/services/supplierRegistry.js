@@ -0,0 +1,171 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const LEGAL_SUFFIXES = /\b(as|asa|a\/s|ab|aps|oy|ltd|limited|gmbh|bv|inc|ehf)\b\.?/g;
+
+// Spelling variants seen in inspection documents, keyed by the supplier name they refer to
+const DEFAULT_ALIASES = {
+    'AQS TOR': ['AQS', 'AQS Tor AS', 'AQS-TOR'],
+    'Aqualine': ['Aqualine AS'],
+    'Aqua Supporter': ['AquaSupporter', 'Aqua Supporter AS'],
+    'Scale AQ': ['ScaleAQ', 'Scale Aquaculture'],
+    'Mørenot': ['Morenot', 'Mørenot Aquaculture'],
+    'Løvold': ['Lovold', 'Løvold Industrier'],
+    'FSV Group': ['FSV'],
+    'Frøy': ['Froy', 'Frøy Akvaservice']
+};
+
+function normalizeSupplierName(name) {
+    return (name || '').toString()
+        .toLowerCase()
+        .replace(/æ/g, 'ae')
+        .replace(/ø/g, 'o')
+        .replace(/å/g, 'a')
+        .replace(LEGAL_SUFFIXES, ' ')
+        .replace(/[^a-z0-9]/g, '');
+}
+
+class SupplierRegistry {
+    constructor(options = {}) {
+        this.aliasFile = options.aliasFile ||
+            process.env.SUPPLIER_ALIAS_FILE ||
+            path.join(process.cwd(), 'data', 'supplier-aliases.json');
+        this.suppliers = [];
+        this.suppliersById = new Map();
+        this.nameIndex = new Map();
+        this.aliasIndex = new Map();
+        this.userAliases = {};
+    }
+
+    load(suppliers) {
+        this.suppliers = suppliers;
+        this.suppliersById = new Map(suppliers.map(s => [s.Id, s]));
+        this.nameIndex = new Map();
+        this.aliasIndex = new Map();
+
+        // Catalog suppliers win over customer-local duplicates with the same name
+        const ordered = [...suppliers].sort((a, b) =>
+            (b.RefEntityName === 'ArtiklerLeverandors') - (a.RefEntityName === 'ArtiklerLeverandors')
+        );
+        for (const supplier of ordered) {
+            const key = normalizeSupplierName(supplier.Name);
+            if (key && !this.nameIndex.has(key)) this.nameIndex.set(key, supplier.Id);
+        }
+
+        for (const [canonical, aliases] of Object.entries(DEFAULT_ALIASES)) {
+            const supplierId = this.nameIndex.get(normalizeSupplierName(canonical));
+            if (!supplierId) continue;
+            aliases.forEach(alias => this.aliasIndex.set(normalizeSupplierName(alias), supplierId));
+        }
+
+        this.userAliases = this.readAliasFile();
+        for (const [alias, supplierId] of Object.entries(this.userAliases)) {
+            if (this.suppliersById.has(supplierId)) {
+                this.aliasIndex.set(normalizeSupplierName(alias), supplierId);
+            }
+        }
+
+        logger.info(`Supplier registry loaded: ${this.nameIndex.size} names, ${this.aliasIndex.size} aliases`);
+    }
+
+    readAliasFile() {
+        try {
+            if (!fs.existsSync(this.aliasFile)) return {};
+            return JSON.parse(fs.readFileSync(this.aliasFile, 'utf8'));
+        } catch (error) {
+            logger.error('Failed to read supplier alias file', { file: this.aliasFile, error: error.message });
+            return {};
+        }
+    }
+
+    writeAliasFile() {
+        fs.mkdirSync(path.dirname(this.aliasFile), { recursive: true });
+        fs.writeFileSync(this.aliasFile, JSON.stringify(this.userAliases, null, 2));
+    }
+
+    resolve(name) {
+        const key = normalizeSupplierName(name);
+        if (!key) return null;
+
+        let supplierId = this.nameIndex.get(key);
+        let via = 'name';
+
+        if (!supplierId) {
+            supplierId = this.aliasIndex.get(key);
+            via = 'alias';
+        }
+
+        if (!supplierId) {
+            supplierId = this.findByPrefix(key);
+            via = 'prefix';
+        }
+
+        if (!supplierId) return null;
+
+        const supplier = this.suppliersById.get(supplierId);
+        const root = this.getRootSupplier(supplier);
+
+        return {
+            supplierId: supplier.Id,
+            supplierName: supplier.Name,
+            rootSupplierId: root.Id,
+            rootSupplierName: root.Name,
+            via
+        };
+    }
+
+    findByPrefix(key) {
+        if (key.length < 4) return null;
+
+        const candidates = new Set();
+        for (const [name, supplierId] of this.nameIndex) {
+            if (name.length >= 4 && (name.startsWith(key) || key.startsWith(name))) {
+                candidates.add(supplierId);
+            }
+        }
+
+        return candidates.size === 1 ? [...candidates][0] : null;
+    }
+
+    getRootSupplier(supplier) {
+        let current = supplier;
+        const seen = new Set();
+
+        while (current && current.ParentSupplierId && !seen.has(current.Id)) {
+            seen.add(current.Id);
+            const parent = this.suppliersById.get(current.ParentSupplierId);
+            if (!parent) break;
+            current = parent;
+        }
+
+        return current;
+    }
+
+    isSameSupplier(supplierIdA, supplierIdB) {
+        if (!supplierIdA || !supplierIdB) return false;
+        if (supplierIdA === supplierIdB) return true;
+
+        const a = this.suppliersById.get(supplierIdA);
+        const b = this.suppliersById.get(supplierIdB);
+        return !!a && !!b && this.getRootSupplier(a).Id === this.getRootSupplier(b).Id;
+    }
+
+    addAlias(alias, supplierId) {
+        if (!this.suppliersById.has(supplierId)) {
+            throw new Error(`Unknown supplier ID: ${supplierId}`);
+        }
+
+        const trimmed = alias.toString().trim();
+        this.userAliases[trimmed] = supplierId;
+        this.aliasIndex.set(normalizeSupplierName(trimmed), supplierId);
+        this.writeAliasFile();
+
+        logger.info(`Added supplier alias "${trimmed}" → ${this.suppliersById.get(supplierId).Name} (ID: ${supplierId})`);
+        return this.resolve(trimmed);
+    }
+}
+
+SupplierRegistry.normalizeSupplierName = normalizeSupplierName;
+
+module.exports = SupplierRegistry;
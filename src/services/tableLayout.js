@@ -0,0 +1,199 @@
+const { findPositionColumn } = require('./positionColumn');
+
+const HEADER_KEYWORDS = [
+    'navn', 'nummer', 'posisjon', 'position', 'linje', 'line',
+    'rekkefølge', 'sekvens', 'sequence',
+    'type', 'komponent', 'component', 'beskrivelse', 'description',
+    'antall', 'quantity', 'mengde',
+    'identifikasjon', 'id', 'serienummer', 'sporing',
+    'montert', 'leverandør', 'leverandor', 'produsent', 'manufacturer',
+    'dato', 'date', 'kommentar', 'merknad'
+];
+
+
+function groupItemsIntoLines(items) {
+    const sorted = [...items].sort((a, b) => a.y - b.y || a.x - b.x);
+    const lines = [];
+
+    for (const item of sorted) {
+        const line = lines[lines.length - 1];
+        const tolerance = Math.max(2, (item.height || 10) * 0.5);
+
+        if (line && Math.abs(line.y - item.y) <= tolerance) {
+            line.items.push(item);
+        } else {
+            lines.push({ y: item.y, items: [item] });
+        }
+    }
+
+    return lines.map(line => ({
+        y: line.y,
+        cells: mergeAdjacentItems(line.items.sort((a, b) => a.x - b.x))
+    }));
+}
+
+function mergeAdjacentItems(items) {
+    const cells = [];
+
+    for (const item of items) {
+        const previous = cells[cells.length - 1];
+        const charWidth = item.text.length > 0 ? (item.width || 0) / item.text.length : 0;
+        const gapLimit = Math.max(charWidth * 1.5, 3);
+
+        if (previous && item.x - (previous.x + previous.width) <= gapLimit) {
+            previous.text = `${previous.text} ${item.text}`;
+            previous.width = item.x + (item.width || 0) - previous.x;
+            previous.confidences.push(item.confidence);
+        } else {
+            cells.push({
+                text: item.text,
+                x: item.x,
+                width: item.width || 0,
+                confidences: [item.confidence]
+            });
+        }
+    }
+
+    return cells;
+}
+
+function isHeaderLine(line) {
+    if (line.cells.length < 2) return false;
+
+    const keywordCells = line.cells.filter(cell => {
+        const words = cell.text.toLowerCase().split(/[\s/]+/);
+        return words.some(word => HEADER_KEYWORDS.some(k => word.startsWith(k)));
+    });
+
+    const hasSpecs = line.cells.some(cell => /\d+\s*(mm|kg|t\b|m\b)/i.test(cell.text));
+
+    return !hasSpecs && keywordCells.length >= 2 && keywordCells.length >= line.cells.length / 2;
+}
+
+function buildColumns(headerLine) {
+    return headerLine.cells.map((cell, idx) => ({
+        name: uniqueColumnName(cell.text, headerLine.cells.slice(0, idx)),
+        start: cell.x,
+        end: cell.x + cell.width
+    }));
+}
+
+function uniqueColumnName(name, previousCells) {
+    const duplicates = previousCells.filter(c => c.text === name).length;
+    return duplicates > 0 ? `${name}_${duplicates}` : name;
+}
+
+function assignColumn(cell, columns) {
+    const cellStart = cell.x;
+    const cellEnd = cell.x + cell.width;
+    let best = null;
+    let bestOverlap = 0;
+
+    columns.forEach((column, idx) => {
+        const nextStart = columns[idx + 1] ? columns[idx + 1].start : Infinity;
+        const columnEnd = Math.max(column.end, nextStart - 1);
+        const overlap = Math.min(cellEnd, columnEnd) - Math.max(cellStart, column.start);
+
+        if (overlap > bestOverlap) {
+            bestOverlap = overlap;
+            best = idx;
+        }
+    });
+
+    if (best !== null) return best;
+
+    let nearest = 0;
+    columns.forEach((column, idx) => {
+        if (Math.abs(column.start - cellStart) < Math.abs(columns[nearest].start - cellStart)) {
+            nearest = idx;
+        }
+    });
+    return nearest;
+}
+
+function lineToRow(line, columns) {
+    const row = {};
+    const confidences = [];
+
+    columns.forEach(column => {
+        row[column.name] = '';
+    });
+
+    for (const cell of line.cells) {
+        const column = columns[assignColumn(cell, columns)];
+        row[column.name] = row[column.name] ? `${row[column.name]} ${cell.text}` : cell.text;
+        confidences.push(...cell.confidences.filter(c => typeof c === 'number'));
+    }
+
+    if (confidences.length > 0) {
+        setRowConfidence(row, Math.min(...confidences));
+    }
+
+    return row;
+}
+
+function setRowConfidence(row, confidence) {
+    Object.defineProperty(row, 'ocrConfidence', {
+        value: confidence,
+        enumerable: false,
+        writable: true
+    });
+}
+
+function isContinuationRow(row, previousRow, positionColumn) {
+    if (!previousRow) return false;
+
+    const filled = Object.entries(row).filter(([, value]) => value !== '');
+    if (filled.length !== 1) return false;
+
+    const [columnName] = filled[0];
+    return columnName !== positionColumn;
+}
+
+function buildTablesFromLines(pages) {
+    const tables = [];
+    let columns = null;
+
+    for (const page of pages) {
+        const rows = [];
+        let previousRow = null;
+        let positionColumn = columns ? findPositionColumn(columns.map(c => c.name)) : null;
+
+        for (const line of page.lines) {
+            if (isHeaderLine(line)) {
+                columns = buildColumns(line);
+                positionColumn = findPositionColumn(columns.map(c => c.name));
+                previousRow = null;
+                continue;
+            }
+
+            if (!columns) continue;
+
+            const row = lineToRow(line, columns);
+
+            if (isContinuationRow(row, previousRow, positionColumn)) {
+                const [columnName, value] = Object.entries(row).find(([, v]) => v !== '');
+                previousRow[columnName] = previousRow[columnName] ? `${previousRow[columnName]} ${value}` : value;
+                continue;
+            }
+
+            if (positionColumn && !row[positionColumn] && previousRow) {
+                row[positionColumn] = previousRow[positionColumn];
+            }
+
+            rows.push(row);
+            previousRow = row;
+        }
+
+        if (rows.length > 0) {
+            tables.push({ name: page.name, rows });
+        }
+    }
+
+    return tables;
+}
+
+module.exports = {
+    groupItemsIntoLines,
+    buildTablesFromLines
+};
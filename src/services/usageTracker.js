@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// USD per million tokens; override or extend with LLM_PRICE_FILE
+const DEFAULT_PRICES = {
+    'gpt-4o-mini': { input: 0.15, cachedInput: 0.075, output: 0.60 },
+    'gpt-4o': { input: 2.50, cachedInput: 1.25, output: 10.00 },
+    'gpt-4.1-mini': { input: 0.40, cachedInput: 0.10, output: 1.60 },
+    'gpt-4.1': { input: 2.00, cachedInput: 0.50, output: 8.00 }
+};
+
+const DEFAULT_USD_NOK_RATE = 10.5;
+const CHARS_PER_TOKEN = 4;
+
+function dataFile(envName, fileName) {
+    return process.env[envName] || path.join(process.cwd(), 'data', fileName);
+}
+
+function loadPriceTable(filePath) {
+    try {
+        if (!filePath || !fs.existsSync(filePath)) return { ...DEFAULT_PRICES };
+        return { ...DEFAULT_PRICES, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+    } catch (error) {
+        logger.error('Failed to read LLM price table, using defaults', { file: filePath, error: error.message });
+        return { ...DEFAULT_PRICES };
+    }
+}
+
+// Rough pre-flight figure; real counts come from the completion usage afterwards
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+function readBudget(value) {
+    const budget = parseFloat(value);
+    return Number.isFinite(budget) && budget > 0 ? budget : null;
+}
+
+function emptyTotals() {
+    return {
+        calls: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        cachedTokens: 0,
+        totalTokens: 0,
+        costUsd: 0,
+        costNok: 0
+    };
+}
+
+function addTotals(target, source) {
+    for (const key of Object.keys(emptyTotals())) {
+        target[key] += source[key] || 0;
+    }
+    return target;
+}
+
+function roundCost(totals) {
+    return { ...totals, costUsd: Math.round(totals.costUsd * 10000) / 10000, costNok: Math.round(totals.costNok * 100) / 100 };
+}
+
+class UsageTracker {
+    constructor(options = {}) {
+        this.prices = options.prices || loadPriceTable(process.env.LLM_PRICE_FILE);
+        this.usdToNok = options.usdToNok || parseFloat(process.env.USD_NOK_RATE) || DEFAULT_USD_NOK_RATE;
+        this.budgetNok = options.budgetNok !== undefined ? readBudget(options.budgetNok) : readBudget(process.env.LLM_BUDGET_NOK);
+        this.reservedNok = 0;
+        this.budgetFallbacks = 0;
+        this.entries = [];
+        this.unpricedModels = new Set();
+    }
+
+    estimateCost(model, promptTokens, completionTokens) {
+        const price = this.getPrice(model);
+        const costUsd = (promptTokens * price.input + completionTokens * price.output) / 1000000;
+        return { costUsd, costNok: costUsd * this.usdToNok };
+    }
+
+    spentNok() {
+        return this.entries.reduce((sum, entry) => sum + entry.costNok, 0);
+    }
+
+    // Claims part of the budget for a call about to be sent; false means the caller must not send it
+    reserve(costNok) {
+        if (this.budgetNok === null) return true;
+
+        if (this.spentNok() + this.reservedNok + costNok > this.budgetNok) {
+            this.budgetFallbacks++;
+            return false;
+        }
+
+        this.reservedNok += costNok;
+        return true;
+    }
+
+    release(costNok) {
+        this.reservedNok = Math.max(0, this.reservedNok - costNok);
+    }
+
+    getPrice(model) {
+        if (this.prices[model]) return this.prices[model];
+
+        // API responses carry dated model names ("gpt-4o-mini-2024-07-18"); use the longest matching family
+        const family = Object.keys(this.prices)
+            .filter(name => model && model.startsWith(name))
+            .sort((a, b) => b.length - a.length)[0];
+        if (family) return this.prices[family];
+
+        if (!this.unpricedModels.has(model)) {
+            this.unpricedModels.add(model);
+            logger.warn(`No price configured for model ${model}, cost will be reported as 0`);
+        }
+        return { input: 0, cachedInput: 0, output: 0 };
+    }
+
+    record({ model, usage, file = null, sheet = null, chunk = null, purpose = 'extract' }) {
+        const promptTokens = usage?.prompt_tokens || 0;
+        const completionTokens = usage?.completion_tokens || 0;
+        const cachedTokens = usage?.prompt_tokens_details?.cached_tokens || 0;
+        const price = this.getPrice(model);
+        const costUsd = ((promptTokens - cachedTokens) * price.input +
+            cachedTokens * price.cachedInput +
+            completionTokens * price.output) / 1000000;
+
+        const entry = {
+            timestamp: new Date().toISOString(),
+            model,
+            file,
+            sheet,
+            chunk,
+            purpose,
+            usageReported: !!usage,
+            calls: 1,
+            promptTokens,
+            completionTokens,
+            cachedTokens,
+            totalTokens: promptTokens + completionTokens,
+            costUsd,
+            costNok: costUsd * this.usdToNok
+        };
+
+        this.entries.push(entry);
+        return entry;
+    }
+
+    summarize(filter = () => true) {
+        const totals = this.entries.filter(filter).reduce((acc, entry) => addTotals(acc, entry), emptyTotals());
+        return roundCost(totals);
+    }
+}
+
+class UsageHistory {
+    constructor(options = {}) {
+        this.file = options.file || dataFile('USAGE_HISTORY_FILE', 'usage-history.jsonl');
+    }
+
+    append(run) {
+        try {
+            fs.mkdirSync(path.dirname(this.file), { recursive: true });
+            fs.appendFileSync(this.file, JSON.stringify(run) + '\n');
+        } catch (error) {
+            logger.error('Failed to store usage history', { file: this.file, error: error.message });
+        }
+    }
+
+    readRuns() {
+        if (!fs.existsSync(this.file)) return [];
+
+        return fs.readFileSync(this.file, 'utf8')
+            .split('\n')
+            .filter(line => line.trim())
+            .map(line => {
+                try {
+                    return JSON.parse(line);
+                } catch (e) {
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    // Monthly spend grouped by locality: [{ month: '2026-10', localityId, localityName, runs, ...totals }]
+    getMonthlySpend(localityId = null) {
+        const groups = new Map();
+
+        for (const run of this.readRuns()) {
+            const runLocalityId = run.locality?.id ?? null;
+            if (localityId !== null && runLocalityId !== localityId) continue;
+
+            const month = (run.startedAt || '').slice(0, 7);
+            const key = `${month}|${runLocalityId}`;
+            if (!groups.has(key)) {
+                groups.set(key, { month, localityId: runLocalityId, localityName: run.locality?.name || null, runs: 0, ...emptyTotals() });
+            }
+
+            const group = groups.get(key);
+            group.runs++;
+            addTotals(group, run.totals || {});
+        }
+
+        return [...groups.values()]
+            .map(group => roundCost(group))
+            .sort((a, b) => b.month.localeCompare(a.month) || (a.localityName || '').localeCompare(b.localityName || ''));
+    }
+}
+
+module.exports = {
+    DEFAULT_PRICES,
+    estimateTokens,
+    UsageTracker,
+    UsageHistory
+};
@@ -0,0 +1,42 @@
+const HybridExtractor = require('../../src/services/DeterministicExtractor');
+
+jest.mock('../../src/utils/logger');
+
+const row = (positionHeader, position, sequence, description) => ({
+    [positionHeader]: position,
+    'Rekkefølge': String(sequence),
+    'Type': 'Kjetting',
+    'Beskrivelse': description,
+    'Antall': '1'
+});
+
+describe('HybridExtractor (deterministic)', () => {
+    test.each(['Linje', 'Line', 'Posisjon nr'])('reads positions from a "%s" column', async header => {
+        const extractor = new HybridExtractor({ useAI: false });
+
+        const result = await extractor.extractFromTables([{ name: 'Side 1', rows: [
+            row(header, 'H01', 1, '30mm stolpeløs'),
+            row(header, 'H02', 1, '30mm stolpeløs')
+        ] }], 'rapport.pdf');
+
+        expect(result.data.position_groups.map(g => g.document_reference)).toEqual(['H01', 'H02']);
+        expect(extractor.findPositionReferences([{ name: 'Side 1', rows: [row(header, 'K01', 1, '30mm')] }])).toEqual(['K01']);
+    });
+
+    test('does not take a serial number column for the position', () => {
+        const extractor = new HybridExtractor({ useAI: false });
+        const normalized = extractor.normalizeRow({ 'Serienummer': 'S-1', 'Linje': 'H01', 'Type': 'Kjetting' });
+
+        expect(normalized.posisjon).toBe('H01');
+    });
+
+    test('carries the OCR confidence of a row onto its component', async () => {
+        const extractor = new HybridExtractor({ useAI: false });
+        const scanned = row('Linje', 'H01', 1, '30mm stolpeløs');
+        Object.defineProperty(scanned, 'ocrConfidence', { value: 0.42, enumerable: false });
+
+        const result = await extractor.extractFromTables([{ name: 'Side 1', rows: [scanned, row('Linje', 'H01', 2, '30mm')] }], 'skann.png');
+
+        expect(result.data.position_groups[0].components.map(c => c.ocr_confidence)).toEqual([0.42, undefined]);
+    });
+});
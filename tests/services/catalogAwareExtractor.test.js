@@ -0,0 +1,91 @@
+const CatalogAwareExtractor = require('../../src/services/catalogAwareExtractor');
+const { DEFAULT_PRICES, UsageTracker } = require('../../src/services/usageTracker');
+
+jest.mock('../../src/utils/logger');
+
+const component = { sequence: 1, type: 'chain', description: 'Kjetting 30mm', quantity: 1 };
+const messages = [{ role: 'user', content: 'Extract H01 and H02' }];
+const firstAnswer = JSON.stringify({ H01: { components: [component] }, H02: { components: [{ ...component, type: 'anker' }] } });
+const repairedAnswer = JSON.stringify({ H02: { components: [component] } });
+
+function newExtractor(budgetNok) {
+    const scheduler = { complete: jest.fn().mockResolvedValue({ content: repairedAnswer, model: 'gpt-4o-mini', usage: null }) };
+    const extractor = new CatalogAwareExtractor([], { llm: { name: 'mock', model: 'gpt-4o-mini' }, scheduler });
+    const tracker = new UsageTracker({ prices: { ...DEFAULT_PRICES }, usdToNok: 10, budgetNok });
+    extractor.setUsageTracker(tracker);
+    return { extractor, scheduler, tracker };
+}
+
+describe('validateWithRepair', () => {
+    test('sends a repair for invalid positions when it fits the budget', async () => {
+        const { extractor, scheduler, tracker } = newExtractor(100);
+
+        const results = await extractor.validateWithRepair(messages, firstAnswer, ['H01', 'H02'], new Set());
+
+        expect(scheduler.complete).toHaveBeenCalledTimes(1);
+        expect(results.H01.status).toBe('ok');
+        expect(results.H02.status).toBe('ok');
+        expect(tracker.reservedNok).toBe(0);
+    });
+
+    test('hands invalid positions to the deterministic fallback when the repair does not fit the budget', async () => {
+        const { extractor, scheduler, tracker } = newExtractor(0.000001);
+
+        const results = await extractor.validateWithRepair(messages, firstAnswer, ['H01', 'H02'], new Set());
+
+        expect(scheduler.complete).not.toHaveBeenCalled();
+        expect(results.H01.status).toBe('ok');
+        expect(results.H02).toEqual({ status: 'budget_fallback', components: [], errors: [] });
+        expect(tracker.budgetFallbacks).toBe(1);
+    });
+});
+
+describe('per-row AI cache', () => {
+    const row = (sequence, description) => ({ 'Navn / Nummer': 'H01', 'Rekkefølge': String(sequence), 'Beskrivelse': description });
+
+    // Answers with one chain per row that was sent
+    const echoScheduler = () => ({
+        complete: jest.fn(async (llm, { messages }) => {
+            const sent = [...messages[1].content.matchAll(/Component \d+: H01 \| (\d+) \| ([^\n]*)/g)];
+            const components = sent.map(([, sequence, description]) => ({ ...component, sequence: Number(sequence), description }));
+            return { content: JSON.stringify({ H01: { components } }), model: 'gpt-4o-mini', usage: null };
+        })
+    });
+
+    test('sends only the rows without a cached answer and merges both', async () => {
+        const scheduler = echoScheduler();
+        const extractor = new CatalogAwareExtractor([], { llm: { name: 'mock', model: 'gpt-4o-mini' }, scheduler });
+
+        await extractor.extractPositionsWithCatalogMatching([row(1, 'Kjetting 30mm'), row(2, 'Sjakkel 35t')], 'Ark1', []);
+        const [group] = await extractor.extractPositionsWithCatalogMatching([row(1, 'Kjetting 30mm'), row(2, 'Sjakkel 55t')], 'Ark1', []);
+
+        expect(scheduler.complete).toHaveBeenCalledTimes(2);
+        const resent = scheduler.complete.mock.calls[1][1].messages[1].content.match(/Component \d+: .*/g);
+        expect(resent).toEqual(['Component 1: H01 | 2 | Sjakkel 55t']);
+        expect(group.components.map(c => c.description)).toEqual(['Kjetting 30mm', 'Sjakkel 55t']);
+    });
+
+    test('estimates only the rows without a cached answer', async () => {
+        const extractor = new CatalogAwareExtractor([], { llm: { name: 'mock', model: 'gpt-4o-mini' }, scheduler: echoScheduler() });
+        const rows = [row(1, 'Kjetting 30mm'), row(2, 'Sjakkel 35t')];
+
+        await extractor.extractPositionsWithCatalogMatching(rows, 'Ark1', []);
+
+        expect(extractor.estimateTables([{ name: 'Ark1', rows }]).calls).toBe(0);
+        expect(extractor.estimateTables([{ name: 'Ark1', rows: [...rows, row(3, 'Tau 40mm')] }]).calls).toBe(1);
+    });
+});
+
+describe('budget fallback', () => {
+    test('reports a position whose rows the deterministic fallback cannot read instead of returning it empty', async () => {
+        const { extractor, scheduler } = newExtractor(0.000001);
+
+        const [group] = await extractor.extractPositionsWithCatalogMatching([
+            { 'Navn / Nummer': 'H01', 'Rekkefølge': '1', 'Beskrivelse': 'Diverse' }
+        ], 'Ark1', []);
+
+        expect(scheduler.complete).not.toHaveBeenCalled();
+        expect(group.extraction_status).toBe('failed');
+        expect(group.extraction_errors).toEqual(['Run budget reached for H01, and the deterministic fallback could not read any of its rows as components']);
+    });
+});
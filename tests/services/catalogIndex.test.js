@@ -0,0 +1,52 @@
+const CatalogIndex = require('../../src/services/catalogIndex');
+
+const catalog = [
+    { id: 1, description: 'Kjetting 30mm stolpeløs', supplier: 'Mørenot', mblKg: 65000 },
+    { id: 2, description: 'Kjetting 38mm stolpeløs', supplier: 'Mørenot', mblKg: 98000 },
+    { id: 3, description: 'Sjakkel 35t', supplier: 'Mørenot', mblKg: 35000 },
+    { id: 4, description: 'Sjakkel 55t', supplier: 'Aqualine', mblKg: 55000 },
+    { id: 5, description: 'Tau 40mm 220m', supplier: 'Aqualine', mblKg: 20000 }
+];
+
+describe('tokenize', () => {
+    test('splits numbers from units, keeps decimals and drops single letters', () => {
+        expect(CatalogIndex.tokenize('Sjakkel 35t Ø32mm')).toEqual(['sjakkel', '35', '32', 'mm']);
+        expect(CatalogIndex.tokenize('Tau 27,5m')).toEqual(['tau', '27.5']);
+    });
+});
+
+describe('CatalogIndex', () => {
+    const index = new CatalogIndex(catalog);
+
+    test('ranks products sharing rare tokens first', () => {
+        const results = index.search('Kjetting 30mm');
+
+        expect(results[0].product.id).toBe(1);
+        expect(results.map(r => r.product.id)).not.toContain(5);
+    });
+
+    test('drops products whose specs contradict the row', () => {
+        const ids = index.search('Kjetting 30mm').map(r => r.product.id);
+        expect(ids).not.toContain(2);
+    });
+
+    test('matches the component type across languages', () => {
+        expect(index.search('shackle 55t')[0].product.id).toBe(4);
+    });
+
+    test('uses the normalized catalog MBL for the spec filter', () => {
+        const ids = index.search('Sjakkel 35t').map(r => r.product.id);
+
+        expect(ids).toContain(3);
+        expect(ids).not.toContain(4);
+    });
+
+    test('limits the number of candidates', () => {
+        expect(index.search('Mørenot', { limit: 2 })).toHaveLength(2);
+    });
+
+    test('returns nothing for unknown words', () => {
+        expect(index.search('xyz')).toEqual([]);
+        expect(new CatalogIndex([]).search('Kjetting')).toEqual([]);
+    });
+});
@@ -0,0 +1,66 @@
+const CatalogMatcher = require('../../src/services/catalogMatcher');
+
+const catalog = [
+    { id: 1, description: 'Kjetting 30mm stolpeløs', supplier: 'Mørenot AS', mblKg: 65000 },
+    { id: 2, description: 'Sjakkel 35t', supplier: 'Mørenot AS', mblKg: 35000 },
+    { id: 3, description: 'Sjakkel 55t', supplier: 'Aqualine AS', mblKg: 55000 },
+    { id: 4, description: 'Tau 40mm 220m', supplier: 'Aqualine AS', mblKg: 20000 }
+];
+
+describe('CatalogMatcher', () => {
+    const matcher = new CatalogMatcher(catalog);
+
+    test('matches on type and an exact spec', () => {
+        const match = matcher.bestMatch({ type: 'shackle', description: 'Sjakkel 35 t' });
+
+        expect(match.productId).toBe(2);
+        expect(match.signals.type.score).toBe(1);
+        expect(match.signals.mbl.score).toBe(1);
+        expect(match.confidence).toBeGreaterThanOrEqual(0.9);
+    });
+
+    test('vetoes products of a different type', () => {
+        const result = matcher.evaluate({ type: 'rope', description: 'Tau 30mm' }, catalog[0]);
+
+        expect(result.vetoed).toBe(true);
+        expect(result.confidence).toBe(0);
+        expect(result.vetoReasons[0]).toMatch(/^type:/);
+    });
+
+    test('vetoes specs outside the tolerance', () => {
+        const result = matcher.evaluate({ type: 'chain', description: 'Kjetting 38mm' }, catalog[0]);
+
+        expect(result.vetoed).toBe(true);
+        expect(result.signals.diameter.detail).toContain('differs');
+    });
+
+    test('caps approximate spec matches below an exact match', () => {
+        const result = matcher.evaluate({ type: 'chain', description: 'Kjetting 31mm' }, catalog[0]);
+
+        expect(result.vetoed).toBe(false);
+        expect(result.signals.diameter.score).toBeLessThan(1);
+        expect(result.confidence).toBeLessThanOrEqual(0.89);
+    });
+
+    test('ranks products that are not vetoed first', () => {
+        const ranked = matcher.rank({ type: 'shackle', description: 'Sjakkel 55t' });
+
+        expect(ranked[0].productId).toBe(3);
+        expect(ranked.findIndex(r => r.vetoed)).toBeGreaterThan(0);
+    });
+
+    test('needs a key spec besides the type', () => {
+        expect(matcher.bestMatch({ type: 'shackle', description: 'Sjakkel', manufacturer: 'Mørenot' })).toBeNull();
+    });
+
+    test('ignores a catalog MBL whose unit is unknown', () => {
+        const product = { id: 9, description: 'Sjakkel', supplier: 'Mørenot AS', mbl: 35 };
+        const result = matcher.evaluate({ type: 'shackle', description: 'Sjakkel 35t' }, product);
+
+        expect(result.signals.mbl.applicable).toBe(false);
+    });
+
+    test('returns nothing for an unknown type', () => {
+        expect(matcher.bestMatch({ type: 'unknown', description: 'Diverse 35t' })).toBeNull();
+    });
+});
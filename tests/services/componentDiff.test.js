@@ -0,0 +1,99 @@
+const { classifyComponents, diffComponent } = require('../../src/services/componentDiff');
+
+const stored = (id, positionId, sequence, productId, productNumber = null, quantity = 1) => ({
+    Id: id,
+    PositionId: positionId,
+    Sequence: sequence,
+    ProductId: productId,
+    ProductNumber: productNumber,
+    Quantity: quantity
+});
+
+const extracted = (positionId, sequence, productId, productNumber = null, quantity = 1) => ({
+    positionId,
+    sequence,
+    productId,
+    productNumber,
+    quantity
+});
+
+describe('diffComponent', () => {
+    test('compares numbers and text loosely', () => {
+        expect(diffComponent(extracted(1, 1, 10, 'ab-1', '2'), stored(1, 1, '1', 10, 'AB-1', 2))).toEqual([]);
+    });
+
+    test('lists the fields that changed', () => {
+        const changes = diffComponent(extracted(1, 1, 11, 'T-2', 2), stored(1, 1, 1, 10, 'T-1', 2));
+
+        expect(changes).toEqual([
+            { field: 'product', label: 'Product', before: 10, after: 11 },
+            { field: 'tracking_number', label: 'Tracking number', before: 'T-1', after: 'T-2' }
+        ]);
+    });
+
+    test('keeps 3.1 and 3.10 apart', () => {
+        const changes = diffComponent(extracted(1, '3.10', 10), stored(1, 1, '3.1', 10));
+        expect(changes.map(c => c.field)).toEqual(['sequence']);
+    });
+
+    test('ignores sequences on components stored without one', () => {
+        expect(diffComponent(extracted(1, 4, 10), stored(1, 1, null, 10))).toEqual([]);
+    });
+});
+
+describe('classifyComponents', () => {
+    test('marks new, identical and changed components with a default action', () => {
+        const existing = [
+            stored(1, 100, 1, 10),
+            stored(2, 100, 2, 20, 'T-1')
+        ];
+        const { entries, summary } = classifyComponents([
+            extracted(100, 1, 10),
+            extracted(100, 2, 20, 'T-2'),
+            extracted(100, 3, 30),
+            extracted(200, 1, 10)
+        ], existing);
+
+        expect(entries.map(e => `${e.status}:${e.action}`)).toEqual([
+            'identical:skip',
+            'changed:update',
+            'new:insert',
+            'new:insert'
+        ]);
+        expect(entries[1].existing.Id).toBe(2);
+        expect(summary).toEqual({ new: 2, identical: 1, changed: 1 });
+    });
+
+    test('falls back to tracking number, then product, and uses each stored row once', () => {
+        const existing = [
+            stored(1, 100, 5, 10, 'T-9'),
+            stored(2, 100, 6, 20)
+        ];
+        const { entries } = classifyComponents([
+            extracted(100, 1, 99, 'T-9'),
+            extracted(100, 2, 20),
+            extracted(100, 3, 20)
+        ], existing);
+
+        expect(entries.map(e => e.existing && e.existing.Id)).toEqual([1, 2, null]);
+    });
+
+    test('does not pair components on a missing product', () => {
+        const existing = [stored(1, 100, null, null)];
+        const { entries, unmatched } = classifyComponents([extracted(100, null, null)], existing);
+
+        expect(entries.map(e => e.status)).toEqual(['new']);
+        expect(unmatched.map(e => e.Id)).toEqual([1]);
+    });
+
+    test('lists stored components the document has no counterpart for', () => {
+        const existing = [
+            stored(1, 100, 1, 10),
+            stored(2, 100, 2, 20),
+            stored(3, 200, 1, 30)
+        ];
+        const { unmatched } = classifyComponents([extracted(100, 1, 10)], existing);
+
+        expect(unmatched.map(e => e.Id)).toEqual([2, 3]);
+    });
+});
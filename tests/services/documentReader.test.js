@@ -0,0 +1,62 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DocumentReader = require('../../src/services/documentReader');
+
+jest.mock('../../src/utils/logger');
+
+describe('DocumentReader', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'document-reader-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('reads a scanned document once for the scan, the estimate and the run', async () => {
+        const filePath = path.join(dir, 'skann.png');
+        fs.writeFileSync(filePath, 'png');
+        const reader = new DocumentReader();
+        reader.ocrExtractor.extractTablesFromImage = jest.fn().mockResolvedValue({ tables: [{ name: 'Bilde', rows: [{ Linje: 'H01' }] }] });
+
+        const reads = [];
+        for (let i = 0; i < 3; i++) reads.push(await reader.readTables(filePath, () => true));
+
+        expect(reader.ocrExtractor.extractTablesFromImage).toHaveBeenCalledTimes(1);
+        expect(reads.every(read => read.tables.length === 1)).toBe(true);
+    });
+
+    test('reads the file again after it changed or the cache was cleared', async () => {
+        const filePath = path.join(dir, 'skann.png');
+        fs.writeFileSync(filePath, 'png');
+        const reader = new DocumentReader();
+        reader.ocrExtractor.extractTablesFromImage = jest.fn().mockResolvedValue({ tables: [] });
+
+        await reader.readTables(filePath);
+        fs.utimesSync(filePath, new Date(), new Date(Date.now() + 5000));
+        await reader.readTables(filePath);
+        reader.clearCache();
+        await reader.readTables(filePath);
+
+        expect(reader.ocrExtractor.extractTablesFromImage).toHaveBeenCalledTimes(3);
+    });
+
+    test('skips spreadsheet sheets per caller from one read', async () => {
+        const XLSX = require('xlsx');
+        const filePath = path.join(dir, 'rapport.xlsx');
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet([{ Linje: 'H01' }]), 'Fortøyningsliner');
+        XLSX.utils.book_append_sheet(workbook, XLSX.utils.json_to_sheet([{ Linje: 'N01' }]), 'Not');
+        XLSX.writeFile(workbook, filePath);
+        const reader = new DocumentReader();
+
+        const all = await reader.readTables(filePath);
+        const lines = await reader.readTables(filePath, name => name === 'Not');
+
+        expect(all.tables.map(t => t.name)).toEqual(['Fortøyningsliner', 'Not']);
+        expect(lines.tables.map(t => t.name)).toEqual(['Fortøyningsliner']);
+    });
+});
@@ -0,0 +1,55 @@
+const IntegratedFileProcessor = require('../../src/services/integratedFileProcessor');
+
+jest.mock('../../src/utils/logger');
+
+const stored = (id, sequence, productId) => ({ Id: id, PositionId: 7, Sequence: sequence, ProductId: productId, ProductNumber: null, Quantity: 1 });
+const extracted = (sequence, productId) => ({ positionId: 7, sequence, productId, productNumber: null, quantity: 1, supplierId: 1, unitId: 1, productDescription: 'Sjakkel' });
+
+function newProcessor(existing) {
+    const processor = new IntegratedFileProcessor();
+    processor.isInitialized = true;
+    processor.db = {
+        getComponentsByPositions: jest.fn().mockResolvedValue(existing),
+        writeComponentBatch: jest.fn(async operations => operations.map((op, i) => op.type === 'remove' ? op.existingId : 100 + i))
+    };
+    return processor;
+}
+
+describe('replacePositionContents', () => {
+    test('replaces matched components and removes only the confirmed stored-only ones', async () => {
+        const processor = newProcessor([stored(1, '1', 10), stored(2, '2', 20), stored(3, '3', 30)]);
+
+        const report = await processor.replacePositionContents([extracted(1, 10), extracted(2, 21), extracted(4, 40)], [3, 1]);
+
+        const operations = processor.db.writeComponentBatch.mock.calls[0][0];
+        expect(operations.map(op => `${op.type}:${op.existingId ?? '-'}`)).toEqual(['replace:1', 'replace:2', 'insert:-', 'remove:3']);
+        expect(report).toMatchObject({ success: true, replaced: 2, removed: 1 });
+    });
+
+    test('keeps stored-only components that were not confirmed', async () => {
+        const processor = newProcessor([stored(1, '1', 10), stored(3, '3', 30)]);
+
+        const report = await processor.replacePositionContents([extracted(1, 10)]);
+
+        const operations = processor.db.writeComponentBatch.mock.calls[0][0];
+        expect(operations.map(op => op.type)).toEqual(['replace']);
+        expect(report).toMatchObject({ replaced: 1, removed: 0 });
+    });
+});
+
+describe('scanPositionReferences', () => {
+    const rows = [
+        { 'Posisjon nr': 'H01', 'Type': 'Kjetting', 'Beskrivelse': '30mm stolpeløs', 'Antall': '1' },
+        { 'Posisjon nr': 'H02', 'Type': 'Sjakkel', 'Beskrivelse': '35t', 'Antall': '2' }
+    ];
+
+    test.each(['catalog', 'deterministic'])('finds references under a non-exact position header with the %s engine', async engine => {
+        const processor = new IntegratedFileProcessor();
+        processor.documentReader = { readTables: jest.fn().mockResolvedValue({ documentType: 'pdf', tables: [{ name: 'Fortøyningsliner', rows }] }) };
+
+        const { references, errors } = await processor.scanPositionReferences(['/tmp/rapport.pdf'], engine);
+
+        expect(errors).toEqual([]);
+        expect(references.map(r => r.reference)).toEqual(['H01', 'H02']);
+    });
+});
@@ -0,0 +1,72 @@
+const { analyzeLine, analyzeLineStrength } = require('../../src/services/lineStrength');
+const DatabaseService = require('../../src/services/databaseService');
+
+jest.mock('../../src/utils/logger');
+
+const catalog = [
+    { id: 1, description: 'Kjetting 30mm', mblKg: 65000 },
+    { id: 2, description: 'Sjakkel 35t', mblKg: 35000 }
+];
+const productsById = new Map(catalog.map(p => [p.id, p]));
+
+const group = components => ({ position_id: 7, internal_position: '101', document_reference: 'H01', components });
+const line = [
+    { sequence: 1, type: 'anchor', description: 'Anker 1700 kg', matched_product_id: null, mbl_kg: 1000 },
+    { sequence: 2, type: 'chain', description: 'Kjetting 30mm', matched_product_id: 1 },
+    { sequence: 3, type: 'shackle', description: 'Sjakkel 35t', matched_product_id: 2 },
+    { sequence: 4, type: 'rope', description: 'Tau 40mm', matched_product_id: null, mbl_kg: 40000 }
+];
+
+describe('analyzeLine', () => {
+    test('finds the weakest load-bearing link and compares it with the design MBL', () => {
+        const result = analyzeLine(group(line), 30000, productsById);
+
+        expect(result.weakest).toMatchObject({ sequence: 3, mblKg: 35000, source: 'catalog' });
+        expect(result.status).toBe('ok');
+        expect(analyzeLine(group(line), 40000, productsById).status).toBe('below_design');
+    });
+
+    test('reports a missing design MBL instead of passing the line', () => {
+        expect(analyzeLine(group(line), null, productsById).status).toBe('no_design_mbl');
+        expect(analyzeLine(group(line), 0, productsById).status).toBe('no_design_mbl');
+    });
+
+    test('flags lines with links that have no MBL', () => {
+        const result = analyzeLine(group([...line, { sequence: 5, type: 'swivel', description: 'Svivel' }]), 30000, productsById);
+
+        expect(result.status).toBe('incomplete');
+        expect(result.unratedSequences).toEqual([5]);
+    });
+});
+
+describe('design MBL units', () => {
+    const originalEnv = process.env;
+
+    afterEach(() => {
+        process.env = originalEnv;
+    });
+
+    function positionsWithUnit(unit, mbl) {
+        process.env = { ...originalEnv, POSITION_MBL_UNIT: unit };
+        const db = new DatabaseService();
+        const request = { input: () => request, query: async () => ({ recordset: [{ Id: 7, Name: '101', Mbl: mbl }] }) };
+        db.connect = async () => true;
+        db.pool = { request: () => request };
+        return db.getPositions(1);
+    }
+
+    const results = [{ success: true, catalogExtraction: { success: true, data: { position_groups: [group(line)] } } }];
+    const analyze = ([position]) => analyzeLineStrength(results, [{ positionId: 7, designMblKg: position.MblKg }], catalog)[0];
+
+    test('converts a design MBL stored in tonnes before comparing', async () => {
+        const result = analyze(await positionsWithUnit('t', 40));
+
+        expect(result.designMblKg).toBe(40000);
+        expect(result.status).toBe('below_design');
+    });
+
+    test('does not check lines when the position MBL unit is not configured', async () => {
+        expect(analyze(await positionsWithUnit('', 40)).status).toBe('no_design_mbl');
+        expect(analyze(await positionsWithUnit('lbs', 40)).status).toBe('no_design_mbl');
+    });
+});
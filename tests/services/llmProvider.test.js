@@ -0,0 +1,108 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { OpenAIProvider, RecordingProvider, createLlmProvider } = require('../../src/services/llmProvider');
+const CatalogAwareExtractor = require('../../src/services/catalogAwareExtractor');
+const RequestScheduler = require('../../src/services/requestScheduler');
+
+jest.mock('../../src/utils/logger');
+
+const config = overrides => ({ provider: 'openai', model: 'gpt-4o-mini', apiKey: undefined, baseURL: null, ...overrides });
+
+describe('OpenAIProvider', () => {
+    test('can be built without an API key', () => {
+        const provider = new OpenAIProvider(config());
+        expect(provider.client).toBeNull();
+    });
+
+    test('fails the call when no API key is configured', async () => {
+        const provider = new OpenAIProvider(config());
+
+        await expect(provider.complete({ messages: [{ role: 'user', content: 'Hei' }] }))
+            .rejects.toThrow('No API key configured');
+    });
+
+    test('creates the client once on first use', () => {
+        const provider = new OpenAIProvider(config({ baseURL: 'http://localhost:11434/v1' }));
+
+        const client = provider.getClient();
+        expect(provider.getClient()).toBe(client);
+    });
+});
+
+describe('recorded extraction', () => {
+    let dir;
+    let mockFile;
+
+    const rows = [
+        { 'Navn / Nummer': 'H01', 'Rekkefølge': '1', 'Beskrivelse': 'Kjetting 30mm stolpeløs' },
+        { 'Navn / Nummer': 'H01', 'Rekkefølge': '2', 'Beskrivelse': 'Sjakkel 35t' },
+        { 'Navn / Nummer': 'K01', 'Rekkefølge': '1', 'Beskrivelse': 'Bøye 1500 l' }
+    ];
+
+    // Stands in for the API while recording: one component per row that was sent
+    const liveProvider = () => ({
+        name: 'openai',
+        model: 'gpt-4o-mini',
+        complete: jest.fn(async ({ messages }) => {
+            const answer = {};
+            let position = null;
+            for (const line of messages[1].content.split('\n')) {
+                const positionLine = line.match(/^POSITION: (\S+)/);
+                if (positionLine) answer[position = positionLine[1]] = { components: [] };
+
+                const componentLine = line.match(/^Component \d+: \S+ \| (\d+) \| (.*)$/);
+                if (componentLine) {
+                    answer[position].components.push({
+                        sequence: Number(componentLine[1]),
+                        type: /bøye/i.test(componentLine[2]) ? 'buoy' : /sjakkel/i.test(componentLine[2]) ? 'shackle' : 'chain',
+                        description: componentLine[2],
+                        quantity: 1
+                    });
+                }
+            }
+            return { content: JSON.stringify(answer), model: 'gpt-4o-mini-2024-07-18', usage: { prompt_tokens: 500, completion_tokens: 80, total_tokens: 580 } };
+        })
+    });
+
+    const extract = llm => new CatalogAwareExtractor([], { llm, scheduler: new RequestScheduler({ maxRetries: 0 }) })
+        .extractFromTables([{ name: 'Fortøyningsliner', rows }], 'rapport.xlsx');
+
+    const summary = result => result.data.position_groups.map(group => ({
+        reference: group.document_reference,
+        status: group.extraction_status,
+        components: group.components.map(c => `${c.sequence} ${c.type} ${c.description}`)
+    }));
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-recordings-'));
+        mockFile = path.join(dir, 'llm-recordings.json');
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('replays a recorded run without calling the API', async () => {
+        const live = liveProvider();
+        const recorded = await extract(new RecordingProvider({ model: 'gpt-4o-mini', mockFile }, live));
+        expect(live.complete).toHaveBeenCalledTimes(1);
+
+        const replayed = await extract(createLlmProvider({ provider: 'mock', mockFile }));
+
+        expect(replayed.success).toBe(true);
+        expect(summary(replayed)).toEqual(summary(recorded));
+        expect(summary(replayed)).toEqual([
+            { reference: 'H01', status: 'ok', components: ['1 chain Kjetting 30mm stolpeløs', '2 shackle Sjakkel 35t'] },
+            { reference: 'K01', status: 'ok', components: ['1 buoy Bøye 1500 l'] }
+        ]);
+        expect(live.complete).toHaveBeenCalledTimes(1);
+    });
+
+    test('fails the positions of a request that was never recorded', async () => {
+        const result = await extract(createLlmProvider({ provider: 'mock', mockFile }));
+
+        expect(summary(result).map(group => group.status)).toEqual(['failed', 'failed']);
+        expect(result.data.position_groups[0].extraction_errors[0]).toMatch(/^No recorded LLM response for request/);
+    });
+});
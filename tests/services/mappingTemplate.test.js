@@ -0,0 +1,70 @@
+const { validateMappingTemplate } = require('../../src/services/mappingTemplate');
+
+const facility = [
+    { Id: 1, Name: '101', Reference: 'H01' },
+    { Id: 2, Name: '102', Reference: null },
+    { Id: 3, Name: '301', Reference: 'K01' },
+    { Id: 4, Name: '205', Reference: 'X05' }
+];
+const mappable = facility.filter(p => p.Name !== '205');
+
+const entry = (row, documentReference, internalPosition) => ({ row, documentReference, internalPosition });
+
+describe('validateMappingTemplate', () => {
+    test('accepts new mappings', () => {
+        const { valid, problems } = validateMappingTemplate([entry(2, 'H02', '102')], mappable, facility);
+
+        expect(problems).toEqual([]);
+        expect(valid).toEqual([{ row: 2, documentReference: 'H02', internalPosition: '102', positionId: 2 }]);
+    });
+
+    test('reports references already mapped to a position the template leaves alone', () => {
+        const { valid, problems } = validateMappingTemplate([
+            entry(2, 'h01', '102'),
+            entry(3, 'X05', '301')
+        ], mappable, facility);
+
+        expect(valid).toEqual([]);
+        expect(problems.map(p => p.message)).toEqual([
+            'Document reference h01 is already mapped to position 101',
+            'Document reference X05 is already mapped to position 205'
+        ]);
+    });
+
+    test('lets a reference move when the template remaps its current position', () => {
+        const { valid, problems } = validateMappingTemplate([
+            entry(2, 'H01', '102'),
+            entry(3, 'H03', '101')
+        ], mappable, facility);
+
+        expect(problems).toEqual([]);
+        expect(valid.map(v => v.positionId)).toEqual([2, 1]);
+    });
+
+    test('tells positions outside the mapping list from unknown ones', () => {
+        const { problems } = validateMappingTemplate([
+            entry(2, 'S01', '205'),
+            entry(3, 'S02', '999')
+        ], mappable, facility);
+
+        expect(problems.map(p => p.message)).toEqual([
+            'Position 205 is not one of the positions offered for mapping',
+            'Position 999 does not exist in this mooring'
+        ]);
+    });
+
+    test('reports duplicates within the template', () => {
+        const { problems } = validateMappingTemplate([
+            entry(2, 'H02', '102'),
+            entry(3, 'H02', '301'),
+            entry(4, 'H04', '102'),
+            entry(5, '', '101')
+        ], mappable, facility);
+
+        expect(problems.map(p => `${p.row}: ${p.message}`)).toEqual([
+            '3: Document reference H02 is used more than once',
+            '4: Position 102 is mapped more than once',
+            '5: Missing document reference or internal position'
+        ]);
+    });
+});
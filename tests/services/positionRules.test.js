@@ -0,0 +1,87 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_POSITION_RULES, loadPositionRules, validatePositionGroups } = require('../../src/services/positionRules');
+
+jest.mock('../../src/utils/logger');
+
+const comp = (sequence, type, description = type) => ({ sequence, type, description });
+const group = (reference, components) => ({ document_reference: reference, internal_position: null, components });
+const mapping = (reference, positionType) => ({ documentReference: reference, internalPosition: '101', positionType });
+
+describe('validatePositionGroups', () => {
+    test('accepts a mooring line in anchor, chain, rope order with shackles between', () => {
+        const [result] = validatePositionGroups([group('H01', [
+            comp(1, 'anchor'), comp(2, 'shackle'), comp(3, 'chain'), comp(4, 'shackle'), comp(5, 'rope')
+        ])], [mapping('H01', 'mooring_lines')]);
+
+        expect(result.position_type).toBe('fortøyningslinje');
+        expect(result.rule_violations).toEqual([]);
+    });
+
+    test('reports components out of the expected order by sequence, not row order', () => {
+        const [result] = validatePositionGroups([group('H01', [
+            comp(3, 'chain'), comp(1, 'anchor'), comp(2, 'rope')
+        ])], [mapping('H01', 'mooring_lines')]);
+
+        expect(result.rule_violations).toEqual([{
+            rule: 'order',
+            sequence: 3,
+            message: 'chain at sequence 3 comes after rope at sequence 2; expected order is anchor → chain → rope'
+        }]);
+    });
+
+    test.each([['bridles', 'Bridle'], ['frame_lines', 'Frame line']])('forbids anchors on %s', (positionType, label) => {
+        const [result] = validatePositionGroups([group('S01', [
+            comp(1, 'chain'), comp(2, 'anchor', 'Plogankeret 1700 kg')
+        ])], [mapping('S01', positionType)]);
+
+        expect(result.rule_violations).toEqual([{
+            rule: 'forbidden_type',
+            sequence: 2,
+            message: `${label} must not contain anchor (sequence 2: "Plogankeret 1700 kg")`
+        }]);
+    });
+
+    test('ignores components of unknown type', () => {
+        const [result] = validatePositionGroups([group('S01', [comp(1, 'unknown')])], [mapping('S01', 'bridles')]);
+        expect(result.rule_violations).toEqual([]);
+    });
+});
+
+describe('loadPositionRules', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'position-rules-'));
+    });
+
+    afterEach(() => {
+        delete process.env.POSITION_RULES_FILE;
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('uses the defaults without an override file', () => {
+        expect(loadPositionRules(path.join(dir, 'missing.json'))).toEqual(DEFAULT_POSITION_RULES);
+    });
+
+    test('merges overrides from POSITION_RULES_FILE over the defaults of the same type', () => {
+        const file = path.join(dir, 'position-rules.json');
+        fs.writeFileSync(file, JSON.stringify({ sideline: { allowed: ['chain', 'shackle'] } }));
+        process.env.POSITION_RULES_FILE = file;
+
+        const rules = loadPositionRules();
+        const [result] = validatePositionGroups([group('S01', [comp(1, 'chain'), comp(2, 'rope')])], [mapping('S01', 'bridles')], rules);
+
+        expect(rules.sideline).toEqual({ label: 'Bridle', forbidden: ['anchor'], allowed: ['chain', 'shackle'], order: [] });
+        expect(rules.ramme).toEqual(DEFAULT_POSITION_RULES.ramme);
+        expect(result.rule_violations.map(v => v.rule)).toEqual(['type_not_allowed']);
+    });
+
+    test('falls back to the defaults when the override file is not valid JSON', () => {
+        const file = path.join(dir, 'position-rules.json');
+        fs.writeFileSync(file, '{ sideline: ');
+
+        expect(loadPositionRules(file)).toEqual(DEFAULT_POSITION_RULES);
+    });
+});
@@ -0,0 +1,48 @@
+const { classifyPositionType, parsePositionReference, getPositionSeries } = require('../../src/services/positionTypes');
+
+describe('parsePositionReference', () => {
+    test('splits prefix, number and suffix', () => {
+        expect(parsePositionReference('H01A')).toEqual({ prefix: 'H', number: 1, suffix: 'A', series: 100 });
+        expect(parsePositionReference('k-3')).toEqual({ prefix: 'K', number: 3, suffix: '', series: 300 });
+    });
+
+    test('has no series for unknown prefixes', () => {
+        expect(parsePositionReference('A2').series).toBeNull();
+    });
+
+    test('returns null for other text', () => {
+        expect(parsePositionReference('Bur 4')).toBeNull();
+        expect(parsePositionReference('')).toBeNull();
+    });
+});
+
+describe('classifyPositionType', () => {
+    test('classifies by document prefix', () => {
+        expect(classifyPositionType('H01A')).toBe('fortøyningslinje');
+        expect(classifyPositionType('K3')).toBe('koblingspunkt');
+        expect(classifyPositionType('S12')).toBe('sideline');
+        expect(classifyPositionType('R7')).toBe('ramme');
+        expect(classifyPositionType('A2')).toBe('ankerpunkt');
+        expect(classifyPositionType('B5')).toBe('bøye');
+        expect(classifyPositionType('Bur 4')).toBe('bur');
+    });
+
+    test('classifies references outside the strict form by their prefix', () => {
+        expect(classifyPositionType('R12-13')).toBe('ramme');
+        expect(classifyPositionType('H01A1')).toBe('fortøyningslinje');
+        expect(parsePositionReference('R12-13')).toBeNull();
+    });
+
+    test('falls back to ukjent', () => {
+        expect(classifyPositionType('X')).toBe('ukjent');
+        expect(classifyPositionType(null)).toBe('ukjent');
+    });
+});
+
+describe('getPositionSeries', () => {
+    test('rounds the internal position number down to its series', () => {
+        expect(getPositionSeries('104')).toBe(100);
+        expect(getPositionSeries(712)).toBe(700);
+        expect(getPositionSeries('Bur')).toBeNull();
+    });
+});
@@ -0,0 +1,129 @@
+const RequestScheduler = require('../../src/services/requestScheduler');
+
+jest.mock('../../src/utils/logger');
+
+const rateLimited = (retryAfter = null) => Object.assign(new Error('Rate limit'), {
+    status: 429,
+    headers: retryAfter !== null ? { 'retry-after': String(retryAfter) } : {}
+});
+
+// A task that stays pending until the test settles it
+function deferredTask() {
+    let settle;
+    const task = jest.fn(() => new Promise((resolve, reject) => { settle = { resolve, reject }; }));
+    return { task, resolve: value => settle.resolve(value), reject: error => settle.reject(error) };
+}
+
+describe('RequestScheduler', () => {
+    const originalEnv = process.env;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.spyOn(Math, 'random').mockReturnValue(0);
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        jest.restoreAllMocks();
+        process.env = originalEnv;
+    });
+
+    test('runs at most the configured number of requests at once', async () => {
+        const scheduler = new RequestScheduler({ concurrency: 2 });
+        const tasks = [deferredTask(), deferredTask(), deferredTask()];
+
+        const runs = tasks.map(t => scheduler.run(t.task));
+        await jest.advanceTimersByTimeAsync(0);
+        expect(tasks.map(t => t.task.mock.calls.length)).toEqual([1, 1, 0]);
+
+        tasks[0].resolve('a');
+        await jest.advanceTimersByTimeAsync(0);
+        expect(tasks[2].task).toHaveBeenCalledTimes(1);
+
+        tasks[1].resolve('b');
+        tasks[2].resolve('c');
+        await expect(Promise.all(runs)).resolves.toEqual(['a', 'b', 'c']);
+    });
+
+    test('waits for the server retry-after before retrying', async () => {
+        const scheduler = new RequestScheduler({ maxRetries: 2 });
+        const task = jest.fn()
+            .mockRejectedValueOnce(rateLimited(2))
+            .mockResolvedValueOnce('ok');
+
+        const run = scheduler.run(task);
+        await jest.advanceTimersByTimeAsync(1999);
+        expect(task).toHaveBeenCalledTimes(1);
+
+        await jest.advanceTimersByTimeAsync(1);
+        await expect(run).resolves.toBe('ok');
+        expect(task).toHaveBeenCalledTimes(2);
+    });
+
+    test('backs off exponentially without a retry-after and gives up after the last retry', async () => {
+        const scheduler = new RequestScheduler({ maxRetries: 2, baseDelayMs: 1000 });
+        const task = jest.fn().mockRejectedValue(rateLimited());
+
+        const run = scheduler.run(task);
+        const failed = expect(run).rejects.toThrow('Rate limit');
+        await jest.advanceTimersByTimeAsync(999);
+        expect(task).toHaveBeenCalledTimes(1);
+        await jest.advanceTimersByTimeAsync(1);
+        expect(task).toHaveBeenCalledTimes(2);
+        await jest.advanceTimersByTimeAsync(2000);
+        expect(task).toHaveBeenCalledTimes(3);
+
+        await failed;
+    });
+
+    test('does not retry errors that are not transient', async () => {
+        const scheduler = new RequestScheduler({ maxRetries: 3 });
+        const task = jest.fn().mockRejectedValue(Object.assign(new Error('Bad request'), { status: 400 }));
+
+        await expect(scheduler.run(task)).rejects.toThrow('Bad request');
+        expect(task).toHaveBeenCalledTimes(1);
+    });
+
+    test('turns retries off with LLM_MAX_RETRIES=0', async () => {
+        process.env = { ...originalEnv, LLM_MAX_RETRIES: '0' };
+        const scheduler = new RequestScheduler();
+        const task = jest.fn().mockRejectedValue(rateLimited(1));
+
+        expect(scheduler.maxRetries).toBe(0);
+        await expect(scheduler.run(task)).rejects.toThrow('Rate limit');
+        expect(task).toHaveBeenCalledTimes(1);
+    });
+
+    test('frees its slot while backing off', async () => {
+        const scheduler = new RequestScheduler({ concurrency: 1, maxRetries: 1 });
+        const limited = jest.fn()
+            .mockRejectedValueOnce(rateLimited(10))
+            .mockResolvedValueOnce('retried');
+        const queued = jest.fn().mockResolvedValue('queued');
+
+        const first = scheduler.run(limited);
+        const second = scheduler.run(queued);
+        await jest.advanceTimersByTimeAsync(0);
+
+        await expect(second).resolves.toBe('queued');
+        expect(limited).toHaveBeenCalledTimes(1);
+
+        await jest.advanceTimersByTimeAsync(10000);
+        await expect(first).resolves.toBe('retried');
+    });
+
+    test('holds requests back until the tokens-per-minute window has room', async () => {
+        const scheduler = new RequestScheduler({ tokensPerMinute: 100 });
+        const first = jest.fn().mockResolvedValue('first');
+        const second = jest.fn().mockResolvedValue('second');
+
+        await scheduler.run(first, { tokens: 60 });
+        const run = scheduler.run(second, { tokens: 60 });
+
+        await jest.advanceTimersByTimeAsync(59999);
+        expect(second).not.toHaveBeenCalled();
+
+        await jest.advanceTimersByTimeAsync(1);
+        await expect(run).resolves.toBe('second');
+    });
+});
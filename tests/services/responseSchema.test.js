@@ -0,0 +1,85 @@
+const { parseJsonResponse, validateComponent, validateBatchResponse } = require('../../src/services/responseSchema');
+
+const validComponent = {
+    sequence: 1,
+    type: 'shackle',
+    description: 'Sjakkel 35t',
+    quantity: 1,
+    manufacturer: 'Mørenot',
+    matched_product_id: 2,
+    match_confidence: 0.95,
+    mbl_kg: 35000
+};
+
+describe('parseJsonResponse', () => {
+    test('strips code fences', () => {
+        expect(parseJsonResponse('```json\n{"H01": {"components": []}}\n```').parsed).toEqual({ H01: { components: [] } });
+    });
+
+    test('reports invalid JSON instead of throwing', () => {
+        const { parsed, error } = parseJsonResponse('{"H01": ');
+
+        expect(parsed).toBeNull();
+        expect(error).toMatch(/^Response is not valid JSON/);
+    });
+});
+
+describe('validateComponent', () => {
+    const allowed = new Set([2]);
+
+    test('accepts a complete component', () => {
+        expect(validateComponent(validComponent, 0, allowed)).toEqual([]);
+    });
+
+    test('accepts null optional fields', () => {
+        const component = { ...validComponent, manufacturer: null, matched_product_id: null, match_confidence: null, mbl_kg: null };
+        expect(validateComponent(component, 0, allowed)).toEqual([]);
+    });
+
+    test('rejects unknown types and missing numbers', () => {
+        const errors = validateComponent({ ...validComponent, type: 'hook', quantity: '1' }, 2, allowed);
+
+        expect(errors).toHaveLength(2);
+        expect(errors[0]).toMatch(/^component 3: type "hook"/);
+        expect(errors[1]).toBe('component 3: quantity must be a number');
+    });
+
+    test('accepts sub-sequences', () => {
+        expect(validateComponent({ ...validComponent, sequence: '3.1' }, 0, allowed)).toEqual([]);
+    });
+
+    test('rejects missing and malformed sequences', () => {
+        expect(validateComponent({ ...validComponent, sequence: null }, 0, allowed)).toHaveLength(1);
+        expect(validateComponent({ ...validComponent, sequence: '3.x' }, 0, allowed))
+            .toEqual(['component 1: sequence must be a number or a sub-sequence like "3.1"']);
+    });
+
+    test('rejects product IDs that were not offered', () => {
+        expect(validateComponent({ ...validComponent, matched_product_id: 7 }, 0, allowed)[0])
+            .toContain('matched_product_id 7 is not in the product catalog');
+    });
+
+    test('rejects confidences outside 0-1', () => {
+        expect(validateComponent({ ...validComponent, match_confidence: 95 }, 0, allowed))
+            .toEqual(['component 1: match_confidence must be between 0 and 1']);
+    });
+
+    test('rejects values that are not objects', () => {
+        expect(validateComponent([], 0, allowed)).toEqual(['component 1 is not an object']);
+    });
+});
+
+describe('validateBatchResponse', () => {
+    test('validates each requested position on its own', () => {
+        const parsed = {
+            h01: { components: [validComponent] },
+            K02: { components: 'none' }
+        };
+
+        const results = validateBatchResponse(parsed, ['H01', 'K02', 'S03'], new Set([2]));
+
+        expect(results.H01).toEqual({ components: [validComponent], errors: [] });
+        expect(results.K02.errors).toEqual(['position K02: "components" must be an array']);
+        expect(results.S03.errors).toEqual(['position S03 is missing from the response']);
+    });
+});
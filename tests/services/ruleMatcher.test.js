@@ -0,0 +1,53 @@
+const CatalogMatcher = require('../../src/services/catalogMatcher');
+const RuleMatcher = require('../../src/services/ruleMatcher');
+
+const catalog = [
+    { id: 1, internalNumber: 'KJ-3001', description: 'Kjetting 30mm stolpeløs', supplier: 'Mørenot', mblKg: 65000 },
+    { id: 2, internalNumber: '350', description: 'Sjakkel 35t', supplier: 'Mørenot', mblKg: 35000 },
+    { id: 3, internalNumber: 'SJ-3500', description: 'Sjakkel 35t galvanisert', supplier: 'Aqualine', mblKg: 35000 },
+    { id: 4, internalNumber: 'TAU-40', description: 'Tau 40mm', supplier: 'Aqualine', mblKg: 20000 },
+    { id: 5, internalNumber: 'TAU-40B', description: 'Tau 40mm', supplier: 'Løvold', mblKg: 21000 }
+];
+
+const newRuleMatcher = () => new RuleMatcher(catalog, new CatalogMatcher(catalog));
+
+describe('RuleMatcher', () => {
+    test('resolves an internal number found in the row', () => {
+        const result = newRuleMatcher().resolve({ type: 'chain', description: 'Kjetting' }, ['1', 'kj-3001']);
+
+        expect(result).toMatchObject({ rule: 'internal_number', confidence: 1.0 });
+        expect(result.product.id).toBe(1);
+    });
+
+    test('ignores internal numbers too short to be unique', () => {
+        const result = newRuleMatcher().resolve({ type: 'unknown', description: 'Diverse' }, ['350']);
+        expect(result).toBeNull();
+    });
+
+    test('resolves an exact description', () => {
+        const result = newRuleMatcher().resolve({ type: 'shackle', description: 'sjakkel  35t galvanisert' });
+
+        expect(result).toMatchObject({ rule: 'description', confidence: 1.0 });
+        expect(result.product.id).toBe(3);
+    });
+
+    test('leaves descriptions shared by several products to the model', () => {
+        expect(newRuleMatcher().resolve({ type: 'rope', description: 'Tau 40mm' })).toBeNull();
+    });
+
+    test('resolves a unique exact spec match', () => {
+        const result = newRuleMatcher().resolve({ type: 'chain', description: 'Stolpeløs kjetting 30 mm' });
+
+        expect(result).toMatchObject({ rule: 'spec' });
+        expect(result.product.id).toBe(1);
+        expect(result.breakdown.diameter.score).toBe(1);
+    });
+
+    test('leaves ambiguous spec matches to the model', () => {
+        expect(newRuleMatcher().resolve({ type: 'shackle', description: 'Sjakkel MBL 35 tonn' })).toBeNull();
+    });
+
+    test('needs a known type for spec matches', () => {
+        expect(newRuleMatcher().resolve({ type: 'unknown', description: '30mm' })).toBeNull();
+    });
+});
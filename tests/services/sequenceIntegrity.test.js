@@ -0,0 +1,74 @@
+const {
+    parseSequence,
+    normalizeSequence,
+    compareSequences,
+    checkSequenceIntegrity
+} = require('../../src/services/sequenceIntegrity');
+
+const components = sequences => sequences.map(sequence => ({ sequence, description: `Komponent ${sequence}` }));
+
+describe('parseSequence', () => {
+    test('reads plain and sub-sequences', () => {
+        expect(parseSequence(3)).toEqual([3]);
+        expect(parseSequence(' 3.1 ')).toEqual([3, 1]);
+        expect(parseSequence('3,10')).toEqual([3, 10]);
+    });
+
+    test('rejects zero, text and empty values', () => {
+        expect(parseSequence('0')).toBeNull();
+        expect(parseSequence('3.0')).toBeNull();
+        expect(parseSequence('3a')).toBeNull();
+        expect(parseSequence('')).toBeNull();
+        expect(parseSequence(null)).toBeNull();
+    });
+});
+
+describe('normalizeSequence', () => {
+    test('keeps plain sequences as numbers and sub-sequences as strings', () => {
+        expect(normalizeSequence('4')).toBe(4);
+        expect(normalizeSequence('3,1')).toBe('3.1');
+        expect(normalizeSequence('3.10')).toBe('3.10');
+        expect(normalizeSequence('x')).toBeNull();
+    });
+});
+
+describe('compareSequences', () => {
+    test('orders sub-sequences under their parent and unnumbered last', () => {
+        const sorted = ['3.10', 2, null, '3.2', 3, 4, '3.1'].sort(compareSequences);
+        expect(sorted).toEqual([2, 3, '3.1', '3.2', '3.10', 4, null]);
+    });
+});
+
+describe('checkSequenceIntegrity', () => {
+    test('accepts a complete chain with sub-sequences', () => {
+        expect(checkSequenceIntegrity(components([1, 2, '2.1', '2.2', 3]), [1, 2, '2.1', '2.2', 3])).toEqual([]);
+    });
+
+    test('reports duplicates', () => {
+        const issues = checkSequenceIntegrity(components([1, 2, 2, 3]));
+        expect(issues).toEqual([{ kind: 'duplicate', sequence: '2', message: 'Sequence 2 is used by 2 components' }]);
+    });
+
+    test('reports gaps as single sequences or ranges', () => {
+        const issues = checkSequenceIntegrity(components([1, 3, '3.1', '3.5', 7]));
+
+        expect(issues.map(i => i.sequence)).toEqual(['2', '3.2–3.4', '4–6']);
+        expect(issues[1].message).toBe('Sequences 3.2–3.4 are missing');
+    });
+
+    test('reports rows that are out of order in the document', () => {
+        const issues = checkSequenceIntegrity(components([1, 2, 3]), [1, 3, 2]);
+        expect(issues).toEqual([{ kind: 'out_of_order', sequence: '2', message: 'Sequence 2 comes after 3 in the document' }]);
+    });
+
+    test('reports components without a sequence', () => {
+        const issues = checkSequenceIntegrity([...components([1, 2]), { sequence: null, description: 'Sjakkel' }]);
+        expect(issues).toEqual([{ kind: 'invalid', sequence: null, message: '"Sjakkel" has no valid sequence number' }]);
+    });
+
+    test('reports one issue when nothing is numbered', () => {
+        expect(checkSequenceIntegrity(components([null, 'x']))).toEqual([
+            { kind: 'invalid', message: 'No sequence numbers found for this position' }
+        ]);
+    });
+});
@@ -0,0 +1,85 @@
+const { loadToKg, parseNumber, parseQuantities, specValues } = require('../../src/services/specParser');
+
+describe('parseNumber', () => {
+    test('reads comma decimals and space thousands', () => {
+        expect(parseNumber('27,5', 'm')).toBe(27.5);
+        expect(parseNumber('1 700', 'kg')).toBe(1700);
+    });
+
+    test('reads dot thousands only for weights and loads', () => {
+        expect(parseNumber('1.700', 'kg')).toBe(1700);
+        expect(parseNumber('1.500', 'm')).toBe(1.5);
+    });
+
+    test('reads fractions', () => {
+        expect(parseNumber('1 1/4', '"')).toBe(1.25);
+        expect(parseNumber('3/4', '"')).toBe(0.75);
+    });
+});
+
+describe('specValues', () => {
+    test('reads diameter, length and weight from a description', () => {
+        expect(specValues('Kjetting 30mm 27,5 m 450 kg')).toMatchObject({
+            diameter_mm: 30,
+            length_m: 27.5,
+            weight_kg: 450
+        });
+    });
+
+    test('reads tonnes as MBL in kg', () => {
+        expect(specValues('Sjakkel 35t')).toMatchObject({ mbl_kg: 35000, capacity_t: 35 });
+        expect(specValues('Tau MBL 12 500 kg').mbl_kg).toBe(12500);
+    });
+
+    test('converts inches and centimetres to millimetres', () => {
+        expect(specValues('Tau 1 1/4"').diameter_mm).toBeCloseTo(31.75);
+        expect(specValues('Tau 4 cm').diameter_mm).toBe(40);
+    });
+
+    test('reads a diameter prefix without a unit as millimetres', () => {
+        expect(specValues('Kause Ø32').diameter_mm).toBe(32);
+    });
+
+    test('uses the middle of a range', () => {
+        expect(specValues('Bøye 800-1000 liter').volume_l).toBe(900);
+    });
+
+    test('reads the nominal diameter from "diameter x length"', () => {
+        expect(specValues('Kjetting 30 x 27,5m')).toMatchObject({ diameter_mm: 30, length_m: 27.5 });
+    });
+
+    test('ignores numbers without a unit', () => {
+        expect(specValues('Sjakkel type 2 nr 14')).toEqual({
+            diameter_mm: null,
+            length_m: null,
+            weight_kg: null,
+            mbl_kg: null,
+            capacity_t: null,
+            volume_l: null
+        });
+    });
+});
+
+describe('parseQuantities', () => {
+    test('returns quantities in text order with their source text', () => {
+        const quantities = parseQuantities('Tau 40mm x 220 meter');
+
+        expect(quantities.map(q => q.field)).toEqual(['diameter_mm', 'length_m']);
+        expect(quantities[1].text).toBe('220 meter');
+    });
+});
+
+describe('loadToKg', () => {
+    test('converts catalog loads in kg, tonnes and kN', () => {
+        expect(loadToKg(1700, 'kg')).toBe(1700);
+        expect(loadToKg('35', 't')).toBe(35000);
+        expect(loadToKg(100, 'kN')).toBeCloseTo(10197.16, 2);
+    });
+
+    test('returns null for unknown units and missing values', () => {
+        expect(loadToKg(35, null)).toBeNull();
+        expect(loadToKg(35, 'lbs')).toBeNull();
+        expect(loadToKg(null, 'kg')).toBeNull();
+        expect(loadToKg(0, 'kg')).toBeNull();
+    });
+});
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SupplierRegistry = require('../../src/services/supplierRegistry');
+
+jest.mock('../../src/utils/logger');
+
+const suppliers = [
+    { Id: 1, Name: 'Mørenot Aquaculture AS', ParentSupplierId: null, RefEntityName: 'ArtiklerLeverandors' },
+    { Id: 2, Name: 'Mørenot Rørvik', ParentSupplierId: 1, RefEntityName: 'ArtiklerLeverandors' },
+    { Id: 3, Name: 'AQS TOR', ParentSupplierId: null, RefEntityName: 'ArtiklerLeverandors' },
+    { Id: 4, Name: 'Aqualine', ParentSupplierId: null, RefEntityName: 'ArtiklerLeverandors' },
+    { Id: 5, Name: 'Aqualine', ParentSupplierId: null, RefEntityName: 'Kunder' }
+];
+
+describe('normalizeSupplierName', () => {
+    test('drops legal suffixes, punctuation and Norwegian letters', () => {
+        expect(SupplierRegistry.normalizeSupplierName('Mørenot Aquaculture AS')).toBe('morenotaquaculture');
+        expect(SupplierRegistry.normalizeSupplierName('AQS-TOR A/S')).toBe('aqstor');
+    });
+});
+
+describe('SupplierRegistry', () => {
+    let dir;
+    let registry;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'supplier-registry-'));
+        registry = new SupplierRegistry({ aliasFile: path.join(dir, 'supplier-aliases.json') });
+        registry.load(suppliers);
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('resolves exact names and prefers catalog suppliers', () => {
+        expect(registry.resolve('Aqualine AS')).toMatchObject({ supplierId: 4, via: 'name' });
+    });
+
+    test('resolves built-in aliases', () => {
+        expect(registry.resolve('AQS')).toMatchObject({ supplierId: 3, via: 'alias' });
+    });
+
+    test('resolves an unambiguous prefix', () => {
+        expect(registry.resolve('Mørenot Aqua')).toMatchObject({ supplierId: 1, via: 'prefix' });
+    });
+
+    test('reports the root supplier of a subsidiary', () => {
+        expect(registry.resolve('Mørenot Rørvik')).toMatchObject({ supplierId: 2, rootSupplierId: 1 });
+        expect(registry.isSameSupplier(1, 2)).toBe(true);
+        expect(registry.isSameSupplier(1, 3)).toBe(false);
+    });
+
+    test('returns null for unknown names', () => {
+        expect(registry.resolve('Ukjent Leverandør')).toBeNull();
+        expect(registry.resolve('')).toBeNull();
+    });
+
+    test('stores user aliases and reads them back on load', () => {
+        registry.addAlias('Tor Dykk', 3);
+        expect(registry.resolve('tor dykk')).toMatchObject({ supplierId: 3, via: 'alias' });
+
+        const reloaded = new SupplierRegistry({ aliasFile: registry.aliasFile });
+        reloaded.load(suppliers);
+        expect(reloaded.resolve('Tor Dykk')).toMatchObject({ supplierId: 3 });
+    });
+
+    test('refuses aliases for unknown suppliers', () => {
+        expect(() => registry.addAlias('Someone', 99)).toThrow('Unknown supplier ID: 99');
+    });
+});
@@ -0,0 +1,35 @@
+const { groupItemsIntoLines, buildTablesFromLines } = require('../../src/services/tableLayout');
+
+const COLUMN_X = [0, 100, 200];
+
+// One text item per cell, laid out on a fixed grid
+function page(rows) {
+    const items = rows.flatMap((cells, line) => cells
+        .map((text, column) => ({ text, x: COLUMN_X[column], y: line * 20, width: text.length * 6, height: 10 }))
+        .filter(item => item.text));
+    return [{ name: 'Page 1', lines: groupItemsIntoLines(items) }];
+}
+
+describe('buildTablesFromLines', () => {
+    test('fills the position down into rows that leave it empty', () => {
+        const [table] = buildTablesFromLines(page([
+            ['Navn / Nummer', 'Rekkefølge', 'Beskrivelse'],
+            ['H01', '1', 'Kjetting'],
+            ['', '2', 'Sjakkel']
+        ]));
+
+        expect(table.rows.map(r => r['Navn / Nummer'])).toEqual(['H01', 'H01']);
+    });
+
+    test('does not take a serial number column for the position column', () => {
+        const [table] = buildTablesFromLines(page([
+            ['Serienummer', 'Posisjon', 'Beskrivelse'],
+            ['S-1', 'H01', 'Kjetting'],
+            ['', 'H02', 'Sjakkel'],
+            ['S-3', '', 'Tau']
+        ]));
+
+        expect(table.rows.map(r => r.Serienummer)).toEqual(['S-1', '', 'S-3']);
+        expect(table.rows.map(r => r.Posisjon)).toEqual(['H01', 'H02', 'H02']);
+    });
+});
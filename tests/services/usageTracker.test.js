@@ -0,0 +1,127 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DEFAULT_PRICES, estimateTokens, UsageTracker, UsageHistory } = require('../../src/services/usageTracker');
+
+jest.mock('../../src/utils/logger');
+
+const usage = (prompt, completion, cached = 0) => ({
+    prompt_tokens: prompt,
+    completion_tokens: completion,
+    prompt_tokens_details: { cached_tokens: cached }
+});
+
+describe('UsageTracker', () => {
+    const newTracker = () => new UsageTracker({ prices: { ...DEFAULT_PRICES }, usdToNok: 10 });
+
+    test('prices prompt, cached and completion tokens separately', () => {
+        const entry = newTracker().record({ model: 'gpt-4o-mini', usage: usage(1000000, 100000, 400000) });
+
+        // 600k × 0.15 + 400k × 0.075 + 100k × 0.60 per million
+        expect(entry.costUsd).toBeCloseTo(0.18);
+        expect(entry.costNok).toBeCloseTo(1.8);
+        expect(entry.totalTokens).toBe(1100000);
+    });
+
+    test('prices dated model names by their family', () => {
+        const tracker = newTracker();
+        expect(tracker.getPrice('gpt-4o-mini-2024-07-18')).toBe(DEFAULT_PRICES['gpt-4o-mini']);
+        expect(tracker.getPrice('gpt-4o-2024-08-06')).toBe(DEFAULT_PRICES['gpt-4o']);
+    });
+
+    test('reports unknown models at zero cost', () => {
+        const entry = newTracker().record({ model: 'local-llama', usage: usage(1000, 100) });
+        expect(entry.costUsd).toBe(0);
+    });
+
+    test('records calls without usage as unreported', () => {
+        const entry = newTracker().record({ model: 'gpt-4o-mini', usage: null });
+
+        expect(entry.usageReported).toBe(false);
+        expect(entry.totalTokens).toBe(0);
+    });
+
+    test('summarizes entries by filter', () => {
+        const tracker = newTracker();
+        tracker.record({ model: 'gpt-4o-mini', usage: usage(1000, 100), file: 'a.xlsx' });
+        tracker.record({ model: 'gpt-4o-mini', usage: usage(2000, 200), file: 'a.xlsx' });
+        tracker.record({ model: 'gpt-4o-mini', usage: usage(4000, 400), file: 'b.pdf' });
+
+        expect(tracker.summarize(e => e.file === 'a.xlsx')).toMatchObject({ calls: 2, promptTokens: 3000, completionTokens: 300 });
+        expect(tracker.summarize().calls).toBe(3);
+    });
+});
+
+describe('budget', () => {
+    const newTracker = budgetNok => new UsageTracker({ prices: { ...DEFAULT_PRICES }, usdToNok: 10, budgetNok });
+
+    test('estimates tokens from text length', () => {
+        expect(estimateTokens('abcdefgh')).toBe(2);
+        expect(estimateTokens(null)).toBe(0);
+    });
+
+    test('estimates cost without cached tokens', () => {
+        expect(newTracker(null).estimateCost('gpt-4o-mini', 1000000, 100000).costNok).toBeCloseTo(2.1);
+    });
+
+    test('always reserves without a budget', () => {
+        const tracker = newTracker(null);
+        expect(tracker.reserve(1000)).toBe(true);
+        expect(tracker.budgetFallbacks).toBe(0);
+    });
+
+    test('refuses reservations past the budget, counting spend and open reservations', () => {
+        const tracker = newTracker(5);
+        tracker.record({ model: 'gpt-4o-mini', usage: usage(1000000, 100000) });
+
+        expect(tracker.reserve(2)).toBe(true);
+        expect(tracker.reserve(1)).toBe(false);
+        expect(tracker.budgetFallbacks).toBe(1);
+
+        tracker.release(2);
+        expect(tracker.reserve(1)).toBe(true);
+    });
+
+    test('ignores budgets that are not positive numbers', () => {
+        expect(newTracker('none').budgetNok).toBeNull();
+        expect(newTracker(0).budgetNok).toBeNull();
+    });
+});
+
+describe('UsageHistory', () => {
+    let dir;
+
+    beforeEach(() => {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-history-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('groups stored runs by month and locality', () => {
+        const history = new UsageHistory({ file: path.join(dir, 'usage-history.jsonl') });
+        const totals = { calls: 1, promptTokens: 100, completionTokens: 10, costUsd: 0.01, costNok: 0.1 };
+
+        history.append({ startedAt: '2026-09-30T10:00:00Z', locality: { id: 1, name: 'Storvika' }, totals });
+        history.append({ startedAt: '2026-10-01T10:00:00Z', locality: { id: 1, name: 'Storvika' }, totals });
+        history.append({ startedAt: '2026-10-02T10:00:00Z', locality: { id: 1, name: 'Storvika' }, totals });
+        history.append({ startedAt: '2026-10-02T11:00:00Z', locality: { id: 2, name: 'Aukan' }, totals });
+
+        const spend = history.getMonthlySpend();
+        expect(spend.map(s => `${s.month} ${s.localityName} ${s.runs}`)).toEqual([
+            '2026-10 Aukan 1',
+            '2026-10 Storvika 2',
+            '2026-09 Storvika 1'
+        ]);
+        expect(spend[1].costNok).toBe(0.2);
+        expect(history.getMonthlySpend(2)).toHaveLength(1);
+    });
+
+    test('skips lines that are not JSON', () => {
+        const file = path.join(dir, 'usage-history.jsonl');
+        fs.writeFileSync(file, '{"startedAt":"2026-10-01"}\nnot json\n');
+
+        expect(new UsageHistory({ file }).readRuns()).toHaveLength(1);
+    });
+});